@@ -0,0 +1,245 @@
+// analysis.js - Band energies, onsets and a beat estimate from an AnalyserNode
+//
+// Each frame the spectrum is read once and boiled down to a handful of
+// signals, all 0 - 1 unless noted. Other systems bind to them instead of
+// reading the analyser themselves:
+//   level        - overall loudness
+//   bass, mid, treble - energy in each band of AUDIO_BANDS
+//   onset        - jumps to the strength of each detected attack, then decays
+//   beat         - jumps to 1 on each (predicted) beat, then decays
+//   phase        - position between the last beat and the next
+//   bpm          - tempo estimate in beats per minute, 0 until one is found
+import * as THREE from 'three';
+
+// Band edges in Hz
+export const AUDIO_BANDS = {
+    bass: [20, 250],
+    mid: [250, 2000],
+    treble: [2000, 8000]
+};
+
+export const AUDIO_SIGNALS = ['level', 'bass', 'mid', 'treble', 'onset', 'beat', 'phase', 'bpm'];
+
+export const DEFAULT_AUDIO_ANALYSIS = {
+    fftSize: 1024, // Enough bins to tell the bass apart
+    smoothing: 0.6, // The analyser's own smoothing; lower keeps attacks sharp
+    attack: 0.04, // Seconds for band energies to rise
+    release: 0.25, // ... and to fall
+    onsetThreshold: 1.6, // Spectral flux this many times its running average is an onset
+    onsetFloor: 0.01, // Flux below this never counts, so silence stays quiet
+    fluxWindow: 1, // Seconds the running average of flux covers
+    minOnsetGap: 0.12, // Seconds between onsets
+    pulseDecay: 0.15, // Time constant of the onset and beat pulses
+    minTempo: 60,
+    maxTempo: 180,
+    tempoHistory: 8 // Intervals between bass onsets kept for the estimate
+};
+
+const median = values => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+};
+
+export class AudioAnalyzer {
+    constructor(analyser, params = {}) {
+        this.analyser = analyser;
+        this.options = { ...DEFAULT_AUDIO_ANALYSIS, ...params };
+
+        analyser.fftSize = this.options.fftSize;
+        analyser.smoothingTimeConstant = this.options.smoothing;
+
+        // The latest spectrum, for anyone drawing it directly
+        this.spectrum = new Uint8Array(analyser.frequencyBinCount);
+        this.previous = new Uint8Array(analyser.frequencyBinCount);
+
+        // Band edges as bin ranges [first, last)
+        const binWidth = analyser.context.sampleRate / this.options.fftSize;
+        this.bands = {};
+        Object.entries(AUDIO_BANDS).forEach(([name, [low, high]]) => {
+            const first = Math.max(1, Math.floor(low / binWidth));
+            const last = Math.min(this.spectrum.length, Math.max(first + 1, Math.ceil(high / binWidth)));
+            this.bands[name] = [first, last];
+        });
+
+        this.signals = { level: 0, bass: 0, mid: 0, treble: 0, onset: 0, beat: 0, phase: 0, bpm: 0 };
+        this.bindings = [];
+
+        this.time = 0;
+        this.fluxAverage = 0;
+        this.bassFluxAverage = 0;
+        this.lastOnset = -Infinity;
+        this.lastBassOnset = -Infinity;
+        this.intervals = [];
+        this.beatPeriod = 0; // Seconds, 0 without an estimate
+        this.lastBeat = 0;
+        this.nextBeat = Infinity;
+    }
+
+    // Call `apply(value, signals)` every update with a signal mapped onto
+    // [min, max]. `signal` is a name from AUDIO_SIGNALS or a function of the
+    // signals, for blends. `smoothing` is an extra time constant in seconds.
+    bind(signal, apply, { min = 0, max = 1, smoothing = 0 } = {}) {
+        if (typeof signal === 'string' && !AUDIO_SIGNALS.includes(signal)) {
+            throw new Error(`Unknown audio signal "${signal}"`);
+        }
+
+        const read = typeof signal === 'function' ? signal : signals => signals[signal];
+        const binding = {
+            read,
+            apply,
+            min,
+            max,
+            smoothing,
+            value: null,
+            unbind: () => {
+                this.bindings = this.bindings.filter(candidate => candidate !== binding);
+            }
+        };
+        this.bindings.push(binding);
+        return binding;
+    }
+
+    update(delta) {
+        this.time += delta;
+        this.analyser.getByteFrequencyData(this.spectrum);
+
+        this.updateBands(delta);
+        this.updateOnsets(delta);
+        this.updateBeat(delta);
+        this.previous.set(this.spectrum);
+
+        this.bindings.forEach(binding => {
+            const target = THREE.MathUtils.lerp(binding.min, binding.max, binding.read(this.signals));
+            if (binding.value === null || binding.smoothing <= 0) {
+                binding.value = target;
+            } else {
+                binding.value += (target - binding.value) * (1 - Math.exp(-delta / binding.smoothing));
+            }
+            binding.apply(binding.value, this.signals);
+        });
+    }
+
+    // Mean magnitude of a bin range, 0 - 1
+    averageBins(first, last) {
+        let sum = 0;
+        for (let i = first; i < last; i++) {
+            sum += this.spectrum[i];
+        }
+        return sum / ((last - first) * 255);
+    }
+
+    // Rise fast, fall slowly, so band energies read as envelopes
+    updateBands(delta) {
+        const { attack, release } = this.options;
+        const follow = (current, target) => {
+            const timeConstant = target > current ? attack : release;
+            return current + (target - current) * (1 - Math.exp(-delta / timeConstant));
+        };
+
+        Object.entries(this.bands).forEach(([name, [first, last]]) => {
+            this.signals[name] = follow(this.signals[name], this.averageBins(first, last));
+        });
+        this.signals.level = follow(this.signals.level, this.averageBins(1, this.bands.treble[1]));
+    }
+
+    // Positive spectral change per bin since the last frame
+    flux(first, last) {
+        let sum = 0;
+        for (let i = first; i < last; i++) {
+            sum += Math.max(0, this.spectrum[i] - this.previous[i]);
+        }
+        return sum / ((last - first) * 255);
+    }
+
+    // Is `flux` an attack against its running average?
+    isOnset(flux, average) {
+        return flux > this.options.onsetFloor && flux > average * this.options.onsetThreshold;
+    }
+
+    updateOnsets(delta) {
+        const { fluxWindow, minOnsetGap, pulseDecay } = this.options;
+        const blend = 1 - Math.exp(-delta / fluxWindow);
+        const decay = Math.exp(-delta / pulseDecay);
+
+        const flux = this.flux(1, this.bands.treble[1]);
+        this.signals.onset *= decay;
+        if (this.isOnset(flux, this.fluxAverage) && this.time - this.lastOnset > minOnsetGap) {
+            // Half strength right at the threshold, full at twice it
+            const threshold = Math.max(this.fluxAverage * this.options.onsetThreshold, this.options.onsetFloor);
+            const strength = Math.min(1, flux / (threshold * 2));
+            this.signals.onset = Math.max(this.signals.onset, strength);
+            this.lastOnset = this.time;
+        }
+        this.fluxAverage += (flux - this.fluxAverage) * blend;
+
+        // Kicks and bass notes carry the beat
+        const bassFlux = this.flux(...this.bands.bass);
+        if (this.isOnset(bassFlux, this.bassFluxAverage) && this.time - this.lastBassOnset > minOnsetGap) {
+            this.onBassOnset();
+        }
+        this.bassFluxAverage += (bassFlux - this.bassFluxAverage) * blend;
+    }
+
+    // Learn the beat period from the gaps between bass onsets, folded into
+    // the tempo range, and line the beat up with the onset
+    onBassOnset() {
+        const { minTempo, maxTempo, tempoHistory } = this.options;
+        const interval = this.time - this.lastBassOnset;
+        this.lastBassOnset = this.time;
+
+        const longest = 60 / minTempo;
+        const shortest = 60 / maxTempo;
+        if (interval < longest * 2) {
+            let folded = interval;
+            while (folded > longest) folded /= 2;
+            while (folded < shortest) folded *= 2;
+            this.intervals.push(folded);
+            if (this.intervals.length > tempoHistory) this.intervals.shift();
+        }
+
+        if (this.intervals.length >= 3) {
+            this.beatPeriod = median(this.intervals);
+            this.signals.bpm = 60 / this.beatPeriod;
+        }
+
+        // An onset in the second half of a beat is the next one arriving
+        // early; one just after a beat means the prediction ran ahead
+        if (!this.beatPeriod) return;
+        const sinceBeat = this.time - this.lastBeat;
+        if (sinceBeat > this.beatPeriod * 0.5) {
+            this.fireBeat();
+        } else if (sinceBeat < this.beatPeriod * 0.25) {
+            this.lastBeat = this.time;
+            this.nextBeat = this.time + this.beatPeriod;
+        }
+    }
+
+    fireBeat() {
+        this.signals.beat = 1;
+        this.lastBeat = this.time;
+        this.nextBeat = this.time + this.beatPeriod;
+    }
+
+    updateBeat(delta) {
+        this.signals.beat *= Math.exp(-delta / this.options.pulseDecay);
+        if (!this.beatPeriod) return;
+
+        // Keep counting between onsets, but forget a tempo the music dropped
+        if (this.time - this.lastBassOnset > this.beatPeriod * 8) {
+            this.beatPeriod = 0;
+            this.intervals = [];
+            this.nextBeat = Infinity;
+            this.signals.bpm = 0;
+            this.signals.phase = 0;
+            return;
+        }
+        if (this.time >= this.nextBeat) {
+            this.fireBeat();
+        }
+        this.signals.phase = Math.min(1, (this.time - this.lastBeat) / this.beatPeriod);
+    }
+
+    dispose() {
+        this.bindings = [];
+    }
+}
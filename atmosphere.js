@@ -0,0 +1,502 @@
+// atmosphere.js - Height fog, drifting motes and wandering fireflies
+import * as THREE from 'three';
+
+// Shared by reference by every material with the height fog, so changing
+// these needs no recompile
+const heightFogValues = {
+    density: 0,
+    falloff: 0.35,
+    baseHeight: -0.5,
+    noiseScale: 0.08,
+    noiseAmount: 0.5,
+    time: 0
+};
+
+const HEIGHT_FOG_PARS_VERTEX = /* glsl */`
+    #ifdef USE_FOG
+        varying float vFogDepth;
+        varying vec3 vFogWorldPosition;
+    #endif
+`;
+
+// View matrices are rigid, so the inverse rotation is the transpose
+const HEIGHT_FOG_VERTEX = /* glsl */`
+    #ifdef USE_FOG
+        vFogDepth = - mvPosition.z;
+        vFogWorldPosition = transpose(mat3(viewMatrix)) * (mvPosition.xyz - viewMatrix[3].xyz);
+    #endif
+`;
+
+const HEIGHT_FOG_PARS_FRAGMENT = /* glsl */`
+    #ifdef USE_FOG
+        uniform vec3 fogColor;
+        varying float vFogDepth;
+        varying vec3 vFogWorldPosition;
+
+        struct HeightFog {
+            float density;
+            float falloff;
+            float baseHeight;
+            float noiseScale;
+            float noiseAmount;
+            float time;
+        };
+        uniform HeightFog heightFog;
+
+        #ifdef FOG_EXP2
+            uniform float fogDensity;
+        #else
+            uniform float fogNear;
+            uniform float fogFar;
+        #endif
+    #endif
+`;
+
+const HEIGHT_FOG_FRAGMENT = /* glsl */`
+    #ifdef USE_FOG
+        #ifdef FOG_EXP2
+            float fogFactor = 1.0 - exp( - fogDensity * fogDensity * vFogDepth * vFogDepth );
+        #else
+            float fogFactor = smoothstep( fogNear, fogFar, vFogDepth );
+        #endif
+
+        // Density falls off exponentially with altitude; integrate it
+        // along the view ray so valleys fill up and hilltops poke out
+        vec3 fogRay = vFogWorldPosition - cameraPosition;
+        float fogFalloff = max( heightFog.falloff, 1e-4 );
+        float fogRise = fogRay.y * fogFalloff;
+        float fogIntegral = abs( fogRise ) > 1e-4 ? ( 1.0 - exp( - fogRise ) ) / fogRise : 1.0;
+        float fogLayer = heightFog.density * exp( - ( cameraPosition.y - heightFog.baseHeight ) * fogFalloff );
+
+        // Slowly drifting banks break the layer up
+        vec2 fogDrift = vFogWorldPosition.xz * heightFog.noiseScale + heightFog.time * vec2( 0.05, 0.03 );
+        float fogBanks = 0.5 + 0.5 * sin( fogDrift.x + sin( fogDrift.y * 1.7 ) ) * cos( fogDrift.y - sin( fogDrift.x * 1.3 ) );
+        fogBanks = mix( 1.0, fogBanks * 2.0, heightFog.noiseAmount );
+
+        float heightFactor = 1.0 - exp( - fogLayer * fogIntegral * length( fogRay ) * fogBanks );
+        fogFactor = max( fogFactor, clamp( heightFactor, 0.0, 1.0 ) );
+
+        gl_FragColor.rgb = mix( gl_FragColor.rgb, fogColor, fogFactor );
+    #endif
+`;
+
+const heightFogMaterials = new WeakSet();
+
+// Patch a material's fog chunks with an exponential height layer on top of
+// the scene's distance fog. Materials shared between objects are only
+// patched once.
+export function applyHeightFog(material) {
+    if (heightFogMaterials.has(material)) return;
+    heightFogMaterials.add(material);
+
+    const previous = material.onBeforeCompile;
+
+    material.onBeforeCompile = (shader, renderer) => {
+        previous?.call(material, shader, renderer);
+
+        shader.uniforms.heightFog = { value: heightFogValues };
+
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <fog_pars_vertex>', HEIGHT_FOG_PARS_VERTEX)
+            .replace('#include <fog_vertex>', HEIGHT_FOG_VERTEX);
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <fog_pars_fragment>', HEIGHT_FOG_PARS_FRAGMENT)
+            .replace('#include <fog_fragment>', HEIGHT_FOG_FRAGMENT);
+    };
+
+    const previousKey = material.customProgramCacheKey.bind(material);
+    material.customProgramCacheKey = () => `${previousKey()}|height-fog`;
+}
+
+export const DEFAULT_FOG = {
+    enabled: true,
+    density: 0.03, // Thickness at baseHeight
+    falloff: 0.35, // How quickly it thins with altitude
+    baseHeight: -0.5,
+    noiseScale: 0.08,
+    noiseAmount: 0.5
+};
+
+// Ground-hugging fog layered on top of the scene's distance fog
+export class HeightFog {
+    constructor(scene, params = {}) {
+        this.scene = scene;
+        this.params = { ...DEFAULT_FOG, ...params };
+        this.values = heightFogValues;
+
+        // The layer lives in the fog chunks of materials patched with
+        // applyHeightFog, so the scene needs some fog
+        if (!scene.fog) {
+            scene.fog = new THREE.Fog(0x10131c, 40, 200);
+        }
+
+        this.apply();
+    }
+
+    set(params) {
+        Object.assign(this.params, params);
+        this.apply();
+    }
+
+    setEnabled(enabled) {
+        this.set({ enabled });
+    }
+
+    apply() {
+        const { enabled, density, falloff, baseHeight, noiseScale, noiseAmount } = this.params;
+        Object.assign(this.values, {
+            density: enabled ? density : 0,
+            falloff,
+            baseHeight,
+            noiseScale,
+            noiseAmount
+        });
+    }
+
+    update(delta) {
+        this.values.time += delta;
+    }
+
+    dispose() {
+        this.values.density = 0;
+    }
+}
+
+// Soft round point sprites, faded in from the edges of the wrap box so
+// particles never pop in or out
+const moteVertexShader = /* glsl */`
+    attribute vec3 aColor;
+    attribute float aSize;
+    attribute float aPhase;
+    uniform float uTime;
+    uniform float uBoxSize;
+    uniform vec3 uCenter;
+    uniform vec3 uDrift;
+    uniform float uPixelRatio;
+    uniform float uSize;
+    varying vec3 vColor;
+    varying float vFade;
+
+    void main() {
+        // Drift, bob, then wrap into a box that follows the viewer
+        vec3 moved = position + uDrift * uTime;
+        moved.y += sin(uTime * 0.7 + aPhase) * 0.3;
+        moved.x += cos(uTime * 0.5 + aPhase * 1.3) * 0.2;
+        vec3 local = mod(moved - uCenter + uBoxSize * 0.5, uBoxSize) - uBoxSize * 0.5;
+        vec3 world = uCenter + local;
+
+        vec3 edge = abs(local) / (uBoxSize * 0.5);
+        vFade = 1.0 - smoothstep(0.7, 1.0, max(max(edge.x, edge.y), edge.z));
+        vColor = aColor;
+
+        vec4 mvPosition = viewMatrix * vec4(world, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+        gl_PointSize = uSize * aSize * uPixelRatio * (10.0 / -mvPosition.z);
+    }
+`;
+
+const moteFragmentShader = /* glsl */`
+    uniform float uOpacity;
+    varying vec3 vColor;
+    varying float vFade;
+
+    void main() {
+        float d = length(gl_PointCoord - 0.5);
+        float alpha = smoothstep(0.5, 0.0, d) * uOpacity * vFade;
+        if (alpha < 0.01) discard;
+        gl_FragColor = vec4(vColor, alpha);
+    }
+`;
+
+export const DEFAULT_PARTICLES = {
+    enabled: true,
+    count: 1500,
+    boxSize: 30, // Particles live in a box this wide around the viewer
+    size: 1,
+    opacity: 0.6,
+    drift: [0.15, 0.02, 0.08], // Units per second
+    colors: [0xfff4d6, 0xe8e2c8, 0xffe27a] // Dust, dust, pollen
+};
+
+// Dust and pollen motes, animated entirely on the GPU
+export class AmbientParticles {
+    constructor(random, params = {}) {
+        this.params = { ...DEFAULT_PARTICLES, ...params };
+        const { count, boxSize, colors } = this.params;
+
+        const positions = new Float32Array(count * 3);
+        const colorData = new Float32Array(count * 3);
+        const sizes = new Float32Array(count);
+        const phases = new Float32Array(count);
+        const color = new THREE.Color();
+
+        for (let i = 0; i < count; i++) {
+            positions.set([
+                random.range(-boxSize, boxSize),
+                random.range(-boxSize, boxSize),
+                random.range(-boxSize, boxSize)
+            ], i * 3);
+            color.set(random.pick(colors));
+            colorData.set([color.r, color.g, color.b], i * 3);
+            sizes[i] = 0.5 + random.next();
+            phases[i] = random.next() * Math.PI * 2;
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('aColor', new THREE.BufferAttribute(colorData, 3));
+        geometry.setAttribute('aSize', new THREE.BufferAttribute(sizes, 1));
+        geometry.setAttribute('aPhase', new THREE.BufferAttribute(phases, 1));
+
+        this.uniforms = {
+            uTime: { value: 0 },
+            uBoxSize: { value: boxSize },
+            uCenter: { value: new THREE.Vector3() },
+            uDrift: { value: new THREE.Vector3() },
+            uPixelRatio: { value: typeof window !== 'undefined' ? window.devicePixelRatio : 1 },
+            uSize: { value: 0 },
+            uOpacity: { value: 0 }
+        };
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            vertexShader: moteVertexShader,
+            fragmentShader: moteFragmentShader,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+
+        this.points = new THREE.Points(geometry, material);
+        this.points.frustumCulled = false; // Positions are only known in the shader
+        this.apply();
+    }
+
+    set(params) {
+        Object.assign(this.params, params);
+        this.apply();
+    }
+
+    setEnabled(enabled) {
+        this.set({ enabled });
+    }
+
+    apply() {
+        const { enabled, size, opacity, drift, boxSize } = this.params;
+        this.points.visible = enabled;
+        this.uniforms.uSize.value = size;
+        this.uniforms.uOpacity.value = opacity;
+        this.uniforms.uDrift.value.fromArray(drift);
+        this.uniforms.uBoxSize.value = boxSize;
+    }
+
+    update(delta, viewerPosition) {
+        this.uniforms.uTime.value += delta;
+        if (viewerPosition) {
+            this.uniforms.uCenter.value.copy(viewerPosition);
+        }
+    }
+
+    dispose() {
+        this.points.removeFromParent();
+        this.points.geometry.dispose();
+        this.points.material.dispose();
+    }
+}
+
+const fireflyVertexShader = /* glsl */`
+    attribute float aBrightness;
+    uniform float uSize;
+    uniform float uPixelRatio;
+    varying float vBrightness;
+
+    void main() {
+        vBrightness = aBrightness;
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+        gl_PointSize = uSize * uPixelRatio * (0.5 + aBrightness) * (10.0 / -mvPosition.z);
+    }
+`;
+
+const fireflyFragmentShader = /* glsl */`
+    uniform vec3 uColor;
+    varying float vBrightness;
+
+    void main() {
+        float d = length(gl_PointCoord - 0.5);
+        float glow = smoothstep(0.5, 0.0, d);
+        glow = glow * glow + smoothstep(0.12, 0.0, d);
+        gl_FragColor = vec4(uColor * (0.4 + vBrightness), glow * vBrightness);
+    }
+`;
+
+export const DEFAULT_FIREFLIES = {
+    enabled: true,
+    count: 60,
+    lights: 3, // Real point lights carried by the first few fireflies
+    color: 0xfff0a0,
+    size: 3,
+    speed: 0.8,
+    wanderRadius: 18, // Around the world origin
+    minHeight: 0.4,
+    maxHeight: 3,
+    gatherRadius: 1.6 // How close they orbit an attractor
+};
+
+// Wandering fireflies that can be drawn towards a point (such as the orb)
+export class FireflySwarm {
+    constructor(environment, random, params = {}) {
+        this.environment = environment;
+        this.random = random;
+        this.params = { ...DEFAULT_FIREFLIES, ...params };
+        const { count, color, lights } = this.params;
+
+        this.attractor = new THREE.Vector3();
+        this.attraction = 0; // 0 wander freely, 1 swarm the attractor
+
+        this.flies = [];
+        const positions = new Float32Array(count * 3);
+        const brightness = new Float32Array(count);
+
+        for (let i = 0; i < count; i++) {
+            const fly = {
+                position: new THREE.Vector3(),
+                velocity: new THREE.Vector3(),
+                target: new THREE.Vector3(),
+                phase: random.next() * Math.PI * 2,
+                blinkSpeed: 1 + random.next() * 2,
+                orbitAngle: random.next() * Math.PI * 2,
+                orbitHeight: random.range(-0.6, 0.8)
+            };
+            this.pickWanderTarget(fly);
+            fly.position.copy(fly.target);
+            this.flies.push(fly);
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('aBrightness', new THREE.BufferAttribute(brightness, 1));
+
+        this.uniforms = {
+            uColor: { value: new THREE.Color(color) },
+            uSize: { value: this.params.size },
+            uPixelRatio: { value: typeof window !== 'undefined' ? window.devicePixelRatio : 1 }
+        };
+
+        this.points = new THREE.Points(geometry, new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            vertexShader: fireflyVertexShader,
+            fragmentShader: fireflyFragmentShader,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        }));
+        this.points.frustumCulled = false;
+
+        this.group = new THREE.Group();
+        this.group.name = 'fireflies';
+        this.group.add(this.points);
+
+        this.lights = [];
+        for (let i = 0; i < Math.min(lights, count); i++) {
+            const light = new THREE.PointLight(color, 0, 6, 2);
+            this.lights.push(light);
+            this.group.add(light);
+        }
+
+        this._toTarget = new THREE.Vector3();
+        this.apply();
+    }
+
+    set(params) {
+        Object.assign(this.params, params);
+        this.apply();
+    }
+
+    setEnabled(enabled) {
+        this.set({ enabled });
+    }
+
+    apply() {
+        this.group.visible = this.params.enabled;
+        this.uniforms.uSize.value = this.params.size;
+        this.uniforms.uColor.value.set(this.params.color);
+        this.lights.forEach(light => light.color.set(this.params.color));
+    }
+
+    // Draw the swarm towards a point; strength 0 releases it
+    setAttractor(position, strength) {
+        this.attractor.copy(position);
+        this.attraction = THREE.MathUtils.clamp(strength, 0, 1);
+    }
+
+    pickWanderTarget(fly) {
+        const { wanderRadius, minHeight, maxHeight } = this.params;
+        const angle = this.random.next() * Math.PI * 2;
+        const distance = Math.sqrt(this.random.next()) * wanderRadius;
+        const x = Math.cos(angle) * distance;
+        const z = Math.sin(angle) * distance;
+        const ground = this.environment.getHeightAt(x, z);
+        fly.target.set(x, ground + this.random.range(minHeight, maxHeight), z);
+    }
+
+    update(delta, time) {
+        if (!this.params.enabled) return;
+
+        const { speed, gatherRadius } = this.params;
+        const positions = this.points.geometry.attributes.position;
+        const brightness = this.points.geometry.attributes.aBrightness;
+
+        this.flies.forEach((fly, i) => {
+            // Each fly is either summoned to orbit the attractor or left to wander
+            const summoned = this.attraction > 0 && (i / this.flies.length) < this.attraction;
+
+            if (summoned) {
+                fly.orbitAngle += delta * speed * 0.8;
+                this._toTarget.set(
+                    this.attractor.x + Math.cos(fly.orbitAngle) * gatherRadius,
+                    this.attractor.y + fly.orbitHeight + Math.sin(time + fly.phase) * 0.2,
+                    this.attractor.z + Math.sin(fly.orbitAngle) * gatherRadius
+                );
+            } else {
+                if (fly.position.distanceToSquared(fly.target) < 0.25) {
+                    this.pickWanderTarget(fly);
+                }
+                this._toTarget.copy(fly.target);
+            }
+
+            // Steer gently towards the goal with a little jitter
+            this._toTarget.sub(fly.position);
+            const distance = this._toTarget.length();
+            if (distance > 1e-4) {
+                this._toTarget.multiplyScalar(Math.min(1, distance) / distance);
+            }
+            fly.velocity.lerp(this._toTarget.multiplyScalar(speed * (summoned ? 2 : 1)), 1 - Math.exp(-2 * delta));
+            fly.velocity.x += Math.sin(time * 3 + fly.phase) * 0.02;
+            fly.velocity.y += Math.cos(time * 2.3 + fly.phase) * 0.015;
+            fly.position.addScaledVector(fly.velocity, delta);
+
+            // Slow, uneven blinking - steadier when gathered
+            const blink = Math.max(0, Math.sin(time * fly.blinkSpeed + fly.phase));
+            const glow = summoned ? 0.6 + 0.4 * blink : blink * blink;
+
+            positions.setXYZ(i, fly.position.x, fly.position.y, fly.position.z);
+            brightness.setX(i, glow);
+
+            if (i < this.lights.length) {
+                this.lights[i].position.copy(fly.position);
+                this.lights[i].intensity = glow * 1.5;
+            }
+        });
+
+        positions.needsUpdate = true;
+        brightness.needsUpdate = true;
+    }
+
+    dispose() {
+        this.group.removeFromParent();
+        this.points.geometry.dispose();
+        this.points.material.dispose();
+        this.lights.forEach(light => light.dispose());
+    }
+}
@@ -0,0 +1,138 @@
+// bindings.js - Panel for rebinding the input actions
+import { INPUT_ACTIONS, describeBinding } from './input.js';
+
+export class BindingsPanel {
+    constructor(input, params = {}) {
+        this.input = input;
+        this.onChange = params.onChange ?? (() => {});
+        this.maxSlots = params.maxSlots ?? 4;
+
+        this.createPanel();
+        (params.parent ?? document.body).appendChild(this.element);
+    }
+
+    createPanel() {
+        this.element = document.createElement('div');
+        this.element.style.position = 'absolute';
+        this.element.style.top = '50%';
+        this.element.style.left = '50%';
+        this.element.style.transform = 'translate(-50%, -50%)';
+        this.element.style.maxHeight = '80%';
+        this.element.style.overflowY = 'auto';
+        this.element.style.padding = '20px';
+        this.element.style.color = '#ffffff';
+        this.element.style.fontSize = '16px';
+        this.element.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+        this.element.style.borderRadius = '10px';
+        this.element.style.display = 'none';
+
+        // Clicks in here must not reach the page's click-to-start handler
+        this.element.addEventListener('click', event => event.stopPropagation());
+
+        const title = document.createElement('div');
+        title.textContent = 'Controls - click a binding to change it, × to remove it';
+        title.style.marginBottom = '12px';
+        this.element.appendChild(title);
+
+        this.rows = document.createElement('div');
+        this.element.appendChild(this.rows);
+
+        const footer = document.createElement('div');
+        footer.style.marginTop = '12px';
+        footer.style.textAlign = 'right';
+        footer.appendChild(this.createButton('Reset to defaults', () => {
+            this.input.cancelCapture();
+            this.input.resetBindings();
+            this.changed();
+        }));
+        footer.appendChild(this.createButton('Close', () => this.hide()));
+        this.element.appendChild(footer);
+    }
+
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.margin = '2px 4px';
+        button.style.padding = '4px 10px';
+        button.style.fontSize = '14px';
+        button.style.backgroundColor = '#ffcc66';
+        button.style.border = 'none';
+        button.style.borderRadius = '5px';
+        button.style.cursor = 'pointer';
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    // Rebuild the rows from the current bindings
+    refresh() {
+        this.rows.textContent = '';
+
+        Object.entries(INPUT_ACTIONS).forEach(([action, label]) => {
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.alignItems = 'center';
+            row.style.margin = '4px 0';
+
+            const name = document.createElement('span');
+            name.textContent = label;
+            name.style.width = '140px';
+            row.appendChild(name);
+
+            const bindings = this.input.bindings[action];
+            bindings.forEach((binding, slot) => {
+                row.appendChild(this.createButton(describeBinding(binding), () => this.listen(action, slot)));
+                const remove = this.createButton('×', () => {
+                    this.input.cancelCapture();
+                    this.input.unbind(action, slot);
+                    this.changed();
+                });
+                remove.style.backgroundColor = 'transparent';
+                remove.style.color = '#ffffff';
+                row.appendChild(remove);
+            });
+
+            if (bindings.length < this.maxSlots) {
+                row.appendChild(this.createButton('+', () => this.listen(action, bindings.length)));
+            }
+
+            this.rows.appendChild(row);
+        });
+    }
+
+    // Wait for the next key, pad button or stick push and bind it
+    listen(action, slot) {
+        // Rebuild first so an earlier prompt goes back to its label. Each
+        // binding has a label and a × button, and + comes after the last one.
+        this.refresh();
+        const row = this.rows.children[Object.keys(INPUT_ACTIONS).indexOf(action)];
+        row.querySelectorAll('button')[slot * 2].textContent = 'Press a key or button… (Esc cancels)';
+
+        this.input.captureNext(binding => {
+            if (binding) {
+                this.input.rebind(action, slot, binding);
+                this.changed();
+            } else {
+                this.refresh();
+            }
+        });
+    }
+
+    changed() {
+        this.refresh();
+        this.onChange(this.input.bindings);
+    }
+
+    isOpen() {
+        return this.element.style.display !== 'none';
+    }
+
+    show() {
+        this.refresh();
+        this.element.style.display = 'block';
+    }
+
+    hide() {
+        this.input.cancelCapture();
+        this.element.style.display = 'none';
+    }
+}
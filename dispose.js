@@ -0,0 +1,33 @@
+// dispose.js - Free the GPU resources held by a scene-graph subtree
+
+// Remove an object from its parent and dispose every geometry and material
+// beneath it. Pass a Set of resources to keep alive when some are shared.
+export function disposeObject(object, keep = null) {
+    object.removeFromParent();
+
+    object.traverse(child => {
+        // Sprites all share three's one quad, which must outlive them
+        if (child.geometry && !child.isSprite && !(keep && keep.has(child.geometry))) {
+            child.geometry.dispose();
+        }
+
+        if (child.material) {
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(material => {
+                if (keep && keep.has(material)) return;
+
+                // Textures are owned by their material unless shared explicitly
+                Object.values(material).forEach(value => {
+                    if (value && value.isTexture && !(keep && keep.has(value))) {
+                        value.dispose();
+                    }
+                });
+                material.dispose();
+            });
+        }
+
+        if (child.isInstancedMesh) {
+            child.dispose();
+        }
+    });
+}
@@ -1,142 +1,219 @@
 // environment.js - Creates a living environment for the scene
 import * as THREE from 'three';
+import { SeededRandom } from './random.js';
+import { Noise } from './noise.js';
+import { GrassField } from './grass.js';
+import { ChunkedTerrain } from './terrain.js';
+import { disposeObject } from './dispose.js';
+import { VegetationScatter } from './scatter.js';
+import { TreeGenerator } from './trees.js';
+import { DayNightCycle } from './sky.js';
+import { HeightFog, AmbientParticles, FireflySwarm, applyHeightFog } from './atmosphere.js';
+import { WeatherController } from './weather.js';
+import { applyWindSway } from './wind.js';
+
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+
+// Default terrain shape - override any of these through options.terrain
+export const DEFAULT_TERRAIN = {
+    size: 50,
+    resolution: 128,
+    baseHeight: -0.5,
+    type: 'fbm', // 'fbm', 'ridged' or 'warped'
+    frequency: 0.06,
+    amplitude: 3,
+    octaves: 5,
+    lacunarity: 2,
+    gain: 0.5,
+    warpStrength: 1,
+    flatRadius: 8, // Flat play area around the origin
+    blendDistance: 15, // Distance over which the hills rise to full height
+
+    // Endless streamed world - when false a single size x size mesh is built
+    streaming: true,
+    chunkSize: 32,
+    viewDistance: 4, // In chunks, around the viewer's chunk
+    detailDistance: 1, // Chunks this close get grass and scenery
+    lodResolutions: [64, 32, 16, 8], // Segments per chunk side, nearest first
+    chunksPerFrame: 2 // Build budget, to keep walking smooth
+};
+
+// Grass density - the instanced field comfortably holds hundreds of thousands
+export const DEFAULT_GRASS = {
+    maxBlades: 250000,
+    coverBlades: 60000, // Spread evenly over the whole terrain
+    patchDensity: 40, // Blades per square unit inside a createGrassPatch
+    chunkDensity: 12 // Blades per square unit on nearby streamed chunks
+};
+
+// Which objects cast and receive shadows - override through options.shadows
+export const DEFAULT_SHADOW_FLAGS = {
+    tree: { cast: true, receive: true },
+    rock: { cast: true, receive: true },
+    mushroom: { cast: true, receive: true },
+    flower: { cast: false, receive: true }, // Too small to be worth a caster
+    ground: { cast: false, receive: true },
+    grass: { cast: false, receive: true }
+};
 
 export class Environment {
-    constructor(scene) {
+    constructor(scene, options = {}) {
         this.scene = scene;
+
+        // Every random draw in world generation goes through this generator,
+        // so the same seed always rebuilds the same world
+        this.random = new SeededRandom(options.seed);
+        this.seed = this.random.seed;
+
+        this.terrain = { ...DEFAULT_TERRAIN, ...options.terrain };
+        this.noise = new Noise(this.random.fork('terrain'));
+
         this.elements = [];
+
+        // The grass field's uniforms double as the wind for everything else.
+        // Streamed chunks grow their own fields on those uniforms, so there
+        // this one stays empty instead of reserving maxBlades for nothing.
+        this.grassOptions = { ...DEFAULT_GRASS, ...options.grass };
+        this.grass = new GrassField({
+            maxBlades: this.terrain.streaming ? 0 : this.grassOptions.maxBlades
+        });
+        this.flowerGlow = { value: 0 }; // Shared by every flower head's shader
+
+        // Geometry and materials reused across many objects (tree templates)
+        this.sharedResources = new Set();
+        this.trees = new TreeGenerator({
+            renderer: options.renderer,
+            random: this.random.fork('trees'),
+            sharedResources: this.sharedResources,
+            windUniforms: this.grass.uniforms
+        });
+        this.colliders = [];
+        this.atmosphere = options.atmosphere ?? {};
         this.ambientParticles = null;
-        this.floatingLights = [];
-        this.grassPatches = [];
+        this.floatingLights = null;
+        this.time = 0;
+        this.chunks = null;
+        this.scatter = new VegetationScatter(this, options.biomes, options.biomeMap);
         this.fogEffect = null;
-        this.timeOffset = Math.random() * 1000;
+        this.sky = null;
+        this.skyOptions = options.sky ?? {};
+        this.weather = null;
+        this.weatherOptions = options.weather ?? {};
+
+        // Positional sounds on world objects; they wait for setAudio, since
+        // audio only starts once the player has clicked
+        this.audio = null;
+        this.sounds = [];
+        this.scenerySounds = new Map(); // scenery type -> [{ sound, params }]
+        this.shadows = null;
+        this.shadowFlags = { ...DEFAULT_SHADOW_FLAGS, ...options.shadows };
+        this.timeOffset = this.random.next() * 1000;
     }
 
     // Initialize the complete environment
     init() {
-        this.createTerrain();
-        this.createVegetation();
-        // this.createAmbientParticles();
-        // this.createFloatingLights();
-        // this.createFog();
-        // this.createSkybox();
-    }
-    createTree(x, z, height) {
-        const treeGroup = new THREE.Group();
-
-        // Tree trunk
-        const trunkGeometry = new THREE.CylinderGeometry(0.2, 0.3, height, 8);
-        const trunkMaterial = new THREE.MeshStandardMaterial({
-            color: 0x8B4513,
-            roughness: 0.9
-        });
-        const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
-        trunk.position.y = height / 2;
-        treeGroup.add(trunk);
-
-        // Tree foliage (multiple layers for fuller look)
-        const foliageColor = new THREE.Color(0x2d4c1e);
-        const foliageMaterial = new THREE.MeshStandardMaterial({
-            color: foliageColor,
-            roughness: 0.8
-        });
-
-        const foliageHeight = height * 1.5;
-        const foliageSize = height * 0.8;
-
-        for (let i = 0; i < 3; i++) {
-            const coneGeometry = new THREE.ConeGeometry(
-                foliageSize * (1 - i * 0.2),
-                foliageHeight,
-                8
-            );
-            const cone = new THREE.Mesh(coneGeometry, foliageMaterial);
-            cone.position.y = height + foliageHeight * 0.3 * i;
-            treeGroup.add(cone);
+        if (this.terrain.streaming) {
+            // Chunks (with their own grass and scenery) load around the viewer
+            this.chunks = new ChunkedTerrain(this);
+            this.chunks.update(0, 0, true);
+        } else {
+            this.scene.add(this.grass.mesh);
+            this.applyFog(this.grass.mesh);
+            this.setShadowFlags(this.grass.mesh, 'grass');
+            this.createTerrain();
+            this.createGrassCover();
+            this.createVegetation();
         }
-
-        treeGroup.position.set(x, 0, z);
-        this.scene.add(treeGroup);
-        this.elements.push(treeGroup);
-
-        return treeGroup;
+        this.createSkybox();
+        this.createWeather();
+        this.createFog();
+        this.createAmbientParticles();
+        this.createFloatingLights();
+    }
+    // Create a procedural tree. Height is the trunk height the old cone trees
+    // used; the whole tree stands about 2.5 times taller.
+    createTree(x, z, height, species = 'broadleaf', random = this.random) {
+        const variant = random.int(0, this.trees.variants - 1);
+        const tree = this.trees.createTree(species, variant);
+        const template = tree.userData.template;
+
+        const scale = (height * 2.5) / template.height;
+        tree.scale.setScalar(scale);
+        tree.position.set(x, this.getHeightAt(x, z), z);
+        this.scene.add(tree);
+        this.elements.push(tree);
+        this.addCollider(tree, x, z, template.trunkRadius * scale);
+        this.applyFog(tree);
+        this.setShadowFlags(tree, 'tree');
+
+        return tree;
     };
 
-    // Create grass patch function
-    createGrassPatch(x, z, size) {
-        const grassGroup = new THREE.Group();
-        const grassBladeCount = Math.floor(size * 20);
+    // Create grass patch function - blades go into the shared instanced field
+    createGrassPatch(x, z, size, random = this.random) {
+        const bladeCount = Math.floor(size * size * this.grassOptions.patchDensity);
+        const grassColor = new THREE.Color();
 
-        // Create individual grass blades
-        for (let i = 0; i < grassBladeCount; i++) {
+        for (let i = 0; i < bladeCount; i++) {
             // Random position within the patch
-            const offsetX = (Math.random() - 0.5) * size;
-            const offsetZ = (Math.random() - 0.5) * size;
-
-            // Random height and width
-            const height = 0.2 + Math.random() * 0.3;
-            const width = 0.02 + Math.random() * 0.03;
-
-            // Create a simple blade with a plane
-            const bladeGeometry = new THREE.PlaneGeometry(width, height);
-
-            // Vary the grass color slightly
-            const hue = 0.3 + (Math.random() * 0.1);
-            const saturation = 0.5 + (Math.random() * 0.3);
-            const lightness = 0.3 + (Math.random() * 0.2);
-            const grassColor = new THREE.Color().setHSL(hue, saturation, lightness);
-
-            const bladeMaterial = new THREE.MeshStandardMaterial({
-                color: grassColor,
-                side: THREE.DoubleSide,
-                transparent: true,
-                alphaTest: 0.5
-            });
-
-            const blade = new THREE.Mesh(bladeGeometry, bladeMaterial);
-
-            // Position and rotate the blade
-            blade.position.set(x + offsetX, height / 2, z + offsetZ);
-            blade.rotation.y = Math.random() * Math.PI;
-
-            // Slightly bend the grass blade
-            blade.rotation.x = (Math.random() * 0.2) - 0.1;
+            const bladeX = x + (random.next() - 0.5) * size;
+            const bladeZ = z + (random.next() - 0.5) * size;
+            this.addGrassBlade(this.grass, bladeX, bladeZ, random, grassColor);
+        }
+    };
 
-            // Add to scene
-            this.scene.add(blade);
-            grassGroup.add(blade);
+    // Carpet the whole (non-streamed) terrain with grass
+    createGrassCover(bladeCount = this.grassOptions.coverBlades) {
+        const random = this.random.fork('grass-cover');
+        const half = this.terrain.size / 2;
+        const grassColor = new THREE.Color();
 
-            // Store reference for animation
-            blade.userData = {
-                originalHeight: height,
-                originalY: height / 2,
-                waveSpeed: 0.5 + Math.random() * 0.5,
-                waveAmplitude: 0.05 + Math.random() * 0.05,
-                phaseOffset: Math.random() * Math.PI * 2
-            };
+        for (let i = 0; i < bladeCount; i++) {
+            const x = random.range(-half, half);
+            const z = random.range(-half, half);
+            this.addGrassBlade(this.grass, x, z, random, grassColor);
         }
+    }
 
-        this.grassPatches.push(grassGroup);
-        return grassGroup;
-    };
+    // Add one randomized blade, rooted on the terrain, to a grass field
+    addGrassBlade(field, x, z, random, color) {
+        // Random height and width
+        const height = 0.2 + random.next() * 0.3;
+        const width = 0.02 + random.next() * 0.03;
+
+        // Vary the grass color slightly
+        const hue = 0.3 + (random.next() * 0.1);
+        const saturation = 0.5 + (random.next() * 0.3);
+        const lightness = 0.3 + (random.next() * 0.2);
+        color.setHSL(hue, saturation, lightness);
+
+        return field.addBlade(x, this.getHeightAt(x, z), z, {
+            height,
+            width,
+            rotation: random.next() * Math.PI,
+            color,
+            phase: random.next() * Math.PI * 2,
+            swaySpeed: 0.5 + random.next() * 0.5
+        });
+    }
 
     // Create rock function
-    createRock(x, z, size) {
+    createRock(x, z, size, random = this.random) {
         const rockGeometry = new THREE.DodecahedronGeometry(size, 1);
 
         // Deform the rock a bit to make it look more natural
         const vertices = rockGeometry.attributes.position.array;
         for (let i = 0; i < vertices.length; i += 3) {
-            vertices[i] += (Math.random() - 0.5) * size * 0.2;
-            vertices[i + 1] += (Math.random() - 0.5) * size * 0.2;
-            vertices[i + 2] += (Math.random() - 0.5) * size * 0.2;
+            vertices[i] += (random.next() - 0.5) * size * 0.2;
+            vertices[i + 1] += (random.next() - 0.5) * size * 0.2;
+            vertices[i + 2] += (random.next() - 0.5) * size * 0.2;
         }
 
         rockGeometry.computeVertexNormals();
 
         // Create material with rocky texture
         const rockColor = new THREE.Color(0x666666);
-        rockColor.offsetHSL(0, 0, (Math.random() - 0.5) * 0.1);
+        rockColor.offsetHSL(0, 0, (random.next() - 0.5) * 0.1);
 
         const rockMaterial = new THREE.MeshStandardMaterial({
             color: rockColor,
@@ -145,15 +222,18 @@ export class Environment {
         });
 
         const rock = new THREE.Mesh(rockGeometry, rockMaterial);
-        rock.position.set(x, size / 2, z);
+        rock.position.set(x, this.getHeightAt(x, z) + size / 2, z);
         this.scene.add(rock);
         this.elements.push(rock);
+        this.addCollider(rock, x, z, size * 0.9);
+        this.applyFog(rock);
+        this.setShadowFlags(rock, 'rock');
 
         return rock;
     };
 
     // Create mushroom function
-    createMushroom(x, z, size) {
+    createMushroom(x, z, size, random = this.random) {
         const mushroomGroup = new THREE.Group();
 
         // Stem
@@ -177,13 +257,13 @@ export class Environment {
 
         // Randomly choose between red and other colors
         let capColor;
-        if (Math.random() > 0.7) {
+        if (random.next() > 0.7) {
             capColor = new THREE.Color(0xaa2222); // Red
         } else {
             // Random earthy tones
-            const hue = 0.05 + Math.random() * 0.1; // Browns and tans
-            const saturation = 0.3 + Math.random() * 0.4;
-            const lightness = 0.3 + Math.random() * 0.2;
+            const hue = 0.05 + random.next() * 0.1; // Browns and tans
+            const saturation = 0.3 + random.next() * 0.4;
+            const lightness = 0.3 + random.next() * 0.2;
             capColor = new THREE.Color().setHSL(hue, saturation, lightness);
         }
 
@@ -199,9 +279,9 @@ export class Environment {
 
         // Add spots to red mushrooms
         if (capColor.r > 0.5 && capColor.g < 0.3) {
-            const spotCount = Math.floor(Math.random() * 5) + 3;
+            const spotCount = Math.floor(random.next() * 5) + 3;
             for (let i = 0; i < spotCount; i++) {
-                const spotSize = size * (0.05 + Math.random() * 0.05);
+                const spotSize = size * (0.05 + random.next() * 0.05);
                 const spotGeometry = new THREE.CircleGeometry(spotSize, 8);
                 const spotMaterial = new THREE.MeshBasicMaterial({
                     color: 0xffffff,
@@ -210,8 +290,8 @@ export class Environment {
                 const spot = new THREE.Mesh(spotGeometry, spotMaterial);
 
                 // Position on cap
-                const angle = Math.random() * Math.PI * 2;
-                const radius = Math.random() * capRadius * 0.7;
+                const angle = random.next() * Math.PI * 2;
+                const radius = random.next() * capRadius * 0.7;
                 spot.position.set(
                     Math.cos(angle) * radius,
                     stemHeight + 0.01,
@@ -223,19 +303,22 @@ export class Environment {
             }
         }
 
-        mushroomGroup.position.set(x, 0, z);
+        mushroomGroup.position.set(x, this.getHeightAt(x, z), z);
         this.scene.add(mushroomGroup);
         this.elements.push(mushroomGroup);
+        this.addCollider(mushroomGroup, x, z, capRadius * 0.8);
+        this.applyFog(mushroomGroup);
+        this.setShadowFlags(mushroomGroup, 'mushroom');
 
         return mushroomGroup;
     };
 
     // Create flower function
-    createFlower(x, z)  {
+    createFlower(x, z, random = this.random) {
         const flowerGroup = new THREE.Group();
 
         // Stem
-        const stemHeight = 0.3 + Math.random() * 0.2;
+        const stemHeight = 0.3 + random.next() * 0.2;
         const stemGeometry = new THREE.CylinderGeometry(0.01, 0.01, stemHeight, 8);
         const stemMaterial = new THREE.MeshStandardMaterial({
             color: 0x3d7c25,
@@ -244,16 +327,17 @@ export class Environment {
         const stem = new THREE.Mesh(stemGeometry, stemMaterial);
         stem.position.y = stemHeight / 2;
         flowerGroup.add(stem);
+        this.applyFlowerSway(stemMaterial);
 
         // Flower head - choose random color
-        const hue = Math.random();
-        const saturation = 0.7 + Math.random() * 0.3;
-        const lightness = 0.5 + Math.random() * 0.3;
+        const hue = random.next();
+        const saturation = 0.7 + random.next() * 0.3;
+        const lightness = 0.5 + random.next() * 0.3;
         const flowerColor = new THREE.Color().setHSL(hue, saturation, lightness);
 
-        const petalCount = Math.floor(Math.random() * 3) + 5;
-        const petalLength = 0.08 + Math.random() * 0.05;
-        const petalWidth = 0.04 + Math.random() * 0.03;
+        const petalCount = Math.floor(random.next() * 3) + 5;
+        const petalLength = 0.08 + random.next() * 0.05;
+        const petalWidth = 0.04 + random.next() * 0.03;
 
         for (let i = 0; i < petalCount; i++) {
             const angle = (i / petalCount) * Math.PI * 2;
@@ -265,6 +349,8 @@ export class Environment {
                 alphaTest: 0.5
             });
 
+            this.applyFlowerSway(petalMaterial);
+            this.applyFlowerGlow(petalMaterial);
             const petal = new THREE.Mesh(petalGeometry, petalMaterial);
             petal.position.set(
                 Math.cos(angle) * (petalLength / 2),
@@ -283,52 +369,65 @@ export class Environment {
             color: 0xffff00,
             roughness: 0.5
         });
+        this.applyFlowerSway(centerMaterial);
+        this.applyFlowerGlow(centerMaterial);
         const center = new THREE.Mesh(centerGeometry, centerMaterial);
         center.position.y = stemHeight;
         flowerGroup.add(center);
 
-        flowerGroup.position.set(x, 0, z);
+        flowerGroup.position.set(x, this.getHeightAt(x, z), z);
         this.scene.add(flowerGroup);
         this.elements.push(flowerGroup);
+        this.applyFog(flowerGroup);
+        this.setShadowFlags(flowerGroup, 'flower');
 
         return flowerGroup;
     };
 
+    // Flowers nod in the same wind as the grass around them
+    applyFlowerSway(material) {
+        applyWindSway(material, this.grass.uniforms, { stiffness: 0.3, referenceHeight: 0.5 });
+    }
+
+    // Flower heads light up in their own color by the shared glow amount
+    applyFlowerGlow(material) {
+        const previous = material.onBeforeCompile;
+        material.onBeforeCompile = (shader, renderer) => {
+            previous?.call(material, shader, renderer);
+
+            shader.uniforms.uFlowerGlow = this.flowerGlow;
+            shader.fragmentShader = shader.fragmentShader
+                .replace('#include <common>', `#include <common>
+                    uniform float uFlowerGlow;`)
+                .replace('#include <emissivemap_fragment>', `#include <emissivemap_fragment>
+                    totalEmissiveRadiance += diffuseColor.rgb * uFlowerGlow;`);
+        };
+
+        const previousKey = material.customProgramCacheKey.bind(material);
+        material.customProgramCacheKey = () => `${previousKey()}|flower-glow`;
+    }
+
+    // 0 for plain flowers; around 1 they glow as bright as they are lit
+    setFlowerGlow(amount) {
+        this.flowerGlow.value = amount;
+    }
+
 
     // Create an uneven terrain with hills and valleys
     createTerrain() {
-        // Create a ground plane with displacement
-        const groundSize = 50;
-        const groundResolution = 128;
+        const { size, resolution } = this.terrain;
         const groundGeometry = new THREE.PlaneGeometry(
-            groundSize, groundSize,
-            groundResolution - 1, groundResolution - 1
+            size, size,
+            resolution - 1, resolution - 1
         );
 
-        // Apply displacement to create hills and valleys
+        // Lay the plane flat so vertex x/z match world x/z and y is height
+        groundGeometry.rotateX(-Math.PI / 2);
+
+        // Displace every vertex by the same function getHeightAt() answers with
         const vertices = groundGeometry.attributes.position.array;
         for (let i = 0; i < vertices.length; i += 3) {
-            // Skip the very center area to keep it flat for gameplay
-            const x = vertices[i];
-            const z = vertices[i + 2];
-            const distFromCenter = Math.sqrt(x * x + z * z);
-
-            if (distFromCenter > 8) {
-                // Apply perlin-like noise for natural-looking terrain
-                const xNorm = x / groundSize;
-                const zNorm = z / groundSize;
-
-                // Multiple frequency noise for more natural terrain
-                const noise1 = this.simpleNoise(xNorm * 2, zNorm * 2) * 1.5;
-                const noise2 = this.simpleNoise(xNorm * 5, zNorm * 5) * 0.5;
-                const noise3 = this.simpleNoise(xNorm * 15, zNorm * 15) * 0.2;
-
-                const totalNoise = noise1 + noise2 + noise3;
-
-                // Gradually increase height as we move away from center
-                const heightFactor = Math.min(1, (distFromCenter - 8) / 15);
-                vertices[i + 1] = totalNoise * 2 * heightFactor;
-            }
+            vertices[i + 1] = this.sampleTerrain(vertices[i], vertices[i + 2]);
         }
 
         // Update the geometry after modifying vertices
@@ -345,65 +444,254 @@ export class Environment {
 
         // Create mesh and add to scene
         const ground = new THREE.Mesh(groundGeometry, groundMaterial);
-        ground.rotation.x = -Math.PI / 2;
-        ground.position.y = -0.5; // Slightly below player level
+        ground.position.y = this.terrain.baseHeight; // Slightly below player level
         this.scene.add(ground);
         this.elements.push(ground);
+        this.ground = ground;
+        this.applyFog(ground);
+        this.setShadowFlags(ground, 'ground');
     }
 
-    // Create various vegetation elements
-    createVegetation() {
-        // Define an area for vegetation placement
-        const areaSize = 10; // Adjust size as needed
-        const numTrees = 5;
-        const numGrassPatches = 3;
-        const numRocks = 3;
-        const numMushrooms = 4;
-        const numFlowers = 6;
-
-        // Create trees
-        for (let i = 0; i < numTrees; i++) {
-            const x = (Math.random() - 0.5) * areaSize;
-            const z = (Math.random() - 0.5) * areaSize;
-            const height = 2 + Math.random(); // Random tree height
-            this.createTree(x, z, height);
+    // Terrain displacement at a point, relative to baseHeight
+    sampleTerrain(x, z) {
+        const { flatRadius, blendDistance, frequency, amplitude, type } = this.terrain;
+        const distFromCenter = Math.sqrt(x * x + z * z);
+
+        // Keep the center area flat for gameplay
+        if (distFromCenter <= flatRadius) return 0;
+
+        const nx = x * frequency;
+        const nz = z * frequency;
+        let noise;
+        switch (type) {
+            case 'ridged':
+                noise = this.noise.ridged(nx, nz, this.terrain);
+                break;
+            case 'warped':
+                noise = this.noise.warped(nx, nz, this.terrain);
+                break;
+            default:
+                noise = this.noise.fbm(nx, nz, this.terrain);
         }
 
-        // Create grass patches
-        for (let i = 0; i < numGrassPatches; i++) {
-            const x = (Math.random() - 0.5) * areaSize;
-            const z = (Math.random() - 0.5) * areaSize;
-            const size = 2 + Math.random() * 3;
-            this.createGrassPatch(x, z, size);
+        // Gradually raise the relief as we move away from center
+        const blend = Math.min(1, (distFromCenter - flatRadius) / blendDistance);
+        const heightFactor = blend * blend * (3 - 2 * blend);
+
+        return noise * amplitude * heightFactor;
+    }
+
+    // World-space height of the ground surface at (x, z)
+    getHeightAt(x, z) {
+        return this.terrain.baseHeight + this.sampleTerrain(x, z);
+    }
+
+    // World-space surface normal at (x, z), from central differences
+    getNormalAt(x, z, target = new THREE.Vector3()) {
+        const e = 0.1;
+        const dx = this.sampleTerrain(x + e, z) - this.sampleTerrain(x - e, z);
+        const dz = this.sampleTerrain(x, z + e) - this.sampleTerrain(x, z - e);
+        return target.set(-dx, 2 * e, -dz).normalize();
+    }
+
+    // Advance animated elements and stream terrain around the viewer
+    update(delta, viewerPosition) {
+        this.time += delta;
+        this.grass.update(this.time + this.timeOffset);
+
+        this.weather?.update(delta, viewerPosition);
+        this.fogEffect?.update(delta);
+        this.floatingLights?.update(delta, this.time);
+
+        if (viewerPosition) {
+            this.chunks?.update(viewerPosition.x, viewerPosition.z);
+            this.sky?.update(delta, viewerPosition);
+            this.ambientParticles?.update(delta, viewerPosition);
+        }
+    }
+
+    // Remove a generated object from the world and free its GPU resources
+    removeElement(object) {
+        const index = this.elements.indexOf(object);
+        if (index !== -1) {
+            this.elements.splice(index, 1);
         }
+        this.colliders = this.colliders.filter(collider => collider.object !== object);
+        this.removeSounds(object);
+        this.shadows?.untrack(object);
+        disposeObject(object, this.sharedResources);
+    }
+
+    // Hand over the SpatialAudio that plays world sounds; sounds added before
+    // it existed start now
+    setAudio(audio) {
+        this.audio = audio;
+        this.sounds.forEach(entry => {
+            entry.source ??= audio.playLoop(entry.object, entry.sound, entry.params);
+        });
+    }
 
-        // Create rocks
-        for (let i = 0; i < numRocks; i++) {
-            const x = (Math.random() - 0.5) * areaSize;
-            const z = (Math.random() - 0.5) * areaSize;
-            const size = 0.5 + Math.random();
-            this.createRock(x, z, size);
+    // Hand over the ShadowSystem; everything built so far starts receiving
+    // its shadows, and objects created later are tracked as they are made
+    setShadows(shadows) {
+        this.shadows = shadows;
+        if (!this.terrain.streaming) {
+            shadows.track(this.grass.mesh);
         }
+        this.elements.forEach(object => shadows.track(object));
+        this.chunks?.forEachSurface(mesh => shadows.track(mesh));
+    }
+
+    // Let an object's materials take the height fog (see applyHeightFog).
+    // Call it before setShadowFlags: shadow tracking keeps the shader patches
+    // a material already has.
+    applyFog(object) {
+        object.traverse(child => {
+            if (!child.material) return;
+            (Array.isArray(child.material) ? child.material : [child.material])
+                .filter(material => material.fog)
+                .forEach(material => applyHeightFog(material));
+        });
+    }
+
+    // Cast and receive shadows as shadowFlags says for this kind of object
+    // ('tree', 'rock', 'mushroom', 'flower', 'ground' or 'grass')
+    setShadowFlags(object, kind) {
+        const { cast, receive } = this.shadowFlags[kind];
+        object.traverse(child => {
+            if (child.isMesh) {
+                child.castShadow = cast;
+                child.receiveShadow = receive;
+            }
+        });
+        this.shadows?.track(object);
+    }
 
-        // Create mushrooms
-        for (let i = 0; i < numMushrooms; i++) {
-            const x = (Math.random() - 0.5) * areaSize;
-            const z = (Math.random() - 0.5) * areaSize;
-            const size = 0.3 + Math.random() * 0.5;
-            this.createMushroom(x, z, size);
+    // Let an object emit a looping positional sound - an AudioBuffer, a url,
+    // or a factory (context, output) => { stop() }; see SpatialAudio.playLoop
+    addSound(object, sound, params = {}) {
+        const entry = { object, sound, params, source: null };
+        if (this.audio) {
+            entry.source = this.audio.playLoop(object, sound, params);
         }
+        this.sounds.push(entry);
+        return entry;
+    }
+
+    removeSounds(object) {
+        this.sounds = this.sounds.filter(entry => {
+            if (entry.object !== object) return true;
+            if (entry.source) {
+                this.audio.removeSource(entry.source);
+            }
+            return false;
+        });
+    }
 
-        // Create flowers
-        for (let i = 0; i < numFlowers; i++) {
-            const x = (Math.random() - 0.5) * areaSize;
-            const z = (Math.random() - 0.5) * areaSize;
-            this.createFlower(x, z);
+    // Give every scenery object of a type ('tree', 'rock', 'mushroom',
+    // 'flower') a sound, including those streamed in later
+    addScenerySound(type, sound, params = {}) {
+        if (!this.scenerySounds.has(type)) {
+            this.scenerySounds.set(type, []);
         }
+        this.scenerySounds.get(type).push({ sound, params });
+
+        this.elements
+            .filter(object => object.userData.sceneryType === type)
+            .forEach(object => this.addSound(object, sound, params));
     }
 
+    // Sky dome with a day/night cycle - drives the sun, moon, stars and fog
+    createSkybox() {
+        this.sky = new DayNightCycle(this.scene, this.skyOptions);
+        return this.sky;
+    }
+
+    // Rain, wind gusts and lightning; see WeatherController.setWeather
+    createWeather() {
+        this.weather = new WeatherController(this, this.weatherOptions);
+        return this.weather;
+    }
+
+    // Ground-hugging height fog on top of the sky's distance fog
+    createFog() {
+        this.fogEffect = new HeightFog(this.scene, {
+            baseHeight: this.terrain.baseHeight,
+            ...this.atmosphere.fog
+        });
+        return this.fogEffect;
+    }
+
+    // Dust and pollen drifting around the viewer
+    createAmbientParticles() {
+        this.ambientParticles = new AmbientParticles(this.random.fork('particles'), this.atmosphere.particles);
+        this.scene.add(this.ambientParticles.points);
+        return this.ambientParticles;
+    }
+
+    // Fireflies wandering the meadow; see FireflySwarm.setAttractor
+    createFloatingLights() {
+        this.floatingLights = new FireflySwarm(this, this.random.fork('fireflies'), this.atmosphere.fireflies);
+        this.scene.add(this.floatingLights.group);
+        return this.floatingLights;
+    }
+
+    // Register a circular obstacle (in the XZ plane) for player collision
+    addCollider(object, x, z, radius) {
+        const collider = { object, x, z, radius };
+        this.colliders.push(collider);
+        return collider;
+    }
+
+    // Walkable area of the generated terrain (null when it streams endlessly)
+    getBounds() {
+        if (this.terrain.streaming) return null;
+
+        const half = this.terrain.size / 2;
+        return { minX: -half, maxX: half, minZ: -half, maxZ: half };
+    }
+
+    // Scatter vegetation over a rectangle following the biome rules. Defaults
+    // to the whole (non-streamed) terrain. Returns the created objects.
+    createVegetation(minX, minZ, width, depth, random = this.random) {
+        if (minX === undefined) {
+            const half = this.terrain.size / 2;
+            [minX, minZ, width, depth] = [-half, -half, this.terrain.size, this.terrain.size];
+        }
+
+        const placements = this.scatter.scatter(random, minX, minZ, width, depth);
+        return placements.map(item => this.placeScenery(item, random));
+    }
+
+    // Build one scattered object, standing on the ground and leaning with the slope
+    placeScenery(item, random) {
+        let object;
+        switch (item.type) {
+            case 'tree':
+                object = this.createTree(item.x, item.z, item.size, item.species, random);
+                break;
+            case 'rock':
+                object = this.createRock(item.x, item.z, item.size, random);
+                break;
+            case 'mushroom':
+                object = this.createMushroom(item.x, item.z, item.size, random);
+                break;
+            case 'flower':
+                object = this.createFlower(item.x, item.z, random);
+                break;
+            default:
+                throw new Error(`Unknown scenery type "${item.type}"`);
+        }
+
+        // Tilt part of the way towards the ground normal, then spin about it
+        const tilt = new THREE.Quaternion().setFromUnitVectors(WORLD_UP, item.normal);
+        const yaw = new THREE.Quaternion().setFromAxisAngle(WORLD_UP, item.yaw);
+        object.quaternion.identity().slerp(tilt, item.align).multiply(yaw);
+
+        object.userData.sceneryType = item.type;
+        this.scenerySounds.get(item.type)?.forEach(({ sound, params }) => this.addSound(object, sound, params));
 
-    simpleNoise(x, z) {
-        return Math.sin(x * 3.14) * Math.cos(z * 3.14);
+        return object;
     }
 
 }
@@ -0,0 +1,189 @@
+// grass.js - Instanced grass blades with wind sway computed in the vertex shader
+import * as THREE from 'three';
+
+// A single blade of unit width and height, tapering to a point. The base sits
+// at y = 0 so the shader can bend more the higher up the blade a vertex is.
+function createBladeGeometry(segments = 4) {
+    const positions = [];
+    const normals = [];
+    const uvs = [];
+    const indices = [];
+
+    for (let i = 0; i <= segments; i++) {
+        const t = i / segments;
+        const halfWidth = 0.5 * (1 - t * t);
+
+        positions.push(-halfWidth, t, 0, halfWidth, t, 0);
+        normals.push(0, 0, 1, 0, 0, 1);
+        uvs.push(0, t, 1, t);
+
+        if (i < segments) {
+            const row = i * 2;
+            indices.push(row, row + 1, row + 2, row + 1, row + 3, row + 2);
+        }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.setIndex(indices);
+    return geometry;
+}
+
+export class GrassField {
+    constructor(options = {}) {
+        this.maxBlades = options.maxBlades ?? 250000;
+
+        // Shared with the compiled shader, so changing .value is enough.
+        // Fields may share one set so a single update drives them all.
+        this.uniforms = options.uniforms ?? {
+            uTime: { value: 0 },
+            uSwayAmplitude: { value: options.swayAmplitude ?? 0.08 },
+            uWindStrength: { value: options.windStrength ?? 0.1 },
+            uWindDirection: { value: new THREE.Vector2(1, 0.3).normalize() },
+            uWindFrequency: { value: options.windFrequency ?? 0.15 },
+            uGustSpeed: { value: options.gustSpeed ?? 1.2 }
+        };
+
+        const geometry = createBladeGeometry();
+
+        // Per-instance blade height, sway phase and sway speed
+        this.heights = new Float32Array(this.maxBlades);
+        this.phases = new Float32Array(this.maxBlades);
+        this.swaySpeeds = new Float32Array(this.maxBlades);
+        geometry.setAttribute('aHeight', new THREE.InstancedBufferAttribute(this.heights, 1));
+        geometry.setAttribute('aPhase', new THREE.InstancedBufferAttribute(this.phases, 1));
+        geometry.setAttribute('aSwaySpeed', new THREE.InstancedBufferAttribute(this.swaySpeeds, 1));
+
+        const material = new THREE.MeshStandardMaterial({
+            color: 0xffffff,
+            roughness: 0.9,
+            side: THREE.DoubleSide
+        });
+        material.onBeforeCompile = (shader) => this.injectWind(shader);
+        material.customProgramCacheKey = () => 'grass-field';
+
+        this.mesh = new THREE.InstancedMesh(geometry, material, this.maxBlades);
+        this.mesh.count = 0;
+        this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+
+        // Allocate the per-instance color buffer up front
+        this.mesh.setColorAt(0, new THREE.Color());
+
+        this._matrix = new THREE.Matrix4();
+        this._position = new THREE.Vector3();
+        this._rotation = new THREE.Quaternion();
+        this._scale = new THREE.Vector3();
+        this._up = new THREE.Vector3(0, 1, 0);
+    }
+
+    get count() {
+        return this.mesh.count;
+    }
+
+    // Add one blade rooted at (x, y, z). Returns false once the field is full.
+    addBlade(x, y, z, { height = 0.35, width = 0.035, rotation = 0, color, phase = 0, swaySpeed = 0.75 } = {}) {
+        const index = this.mesh.count;
+        if (index >= this.maxBlades) return false;
+
+        this._position.set(x, y, z);
+        this._rotation.setFromAxisAngle(this._up, rotation);
+        this._scale.set(width, 1, width);
+        this._matrix.compose(this._position, this._rotation, this._scale);
+        this.mesh.setMatrixAt(index, this._matrix);
+
+        if (color) {
+            this.mesh.setColorAt(index, color);
+        }
+
+        this.heights[index] = height;
+        this.phases[index] = phase;
+        this.swaySpeeds[index] = swaySpeed;
+
+        this.mesh.count = index + 1;
+        this.needsUpload = true;
+        return true;
+    }
+
+    // Push any newly added blades to the GPU
+    commit() {
+        if (!this.needsUpload) return;
+        this.needsUpload = false;
+
+        const geometry = this.mesh.geometry;
+        this.mesh.instanceMatrix.needsUpdate = true;
+        this.mesh.instanceColor.needsUpdate = true;
+        geometry.attributes.aHeight.needsUpdate = true;
+        geometry.attributes.aPhase.needsUpdate = true;
+        geometry.attributes.aSwaySpeed.needsUpdate = true;
+
+        this.mesh.computeBoundingSphere();
+    }
+
+    setWind(strength, directionX = this.uniforms.uWindDirection.value.x, directionZ = this.uniforms.uWindDirection.value.y) {
+        this.uniforms.uWindStrength.value = strength;
+        this.uniforms.uWindDirection.value.set(directionX, directionZ).normalize();
+    }
+
+    // Height of the idle sway every blade does even without wind
+    setSwayAmplitude(amplitude) {
+        this.uniforms.uSwayAmplitude.value = amplitude;
+    }
+
+    update(time) {
+        this.commit();
+        this.uniforms.uTime.value = time;
+    }
+
+    dispose() {
+        this.mesh.removeFromParent();
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+        this.mesh.dispose();
+    }
+
+    // Patch MeshStandardMaterial so each blade is stretched to its height and
+    // bent by wind in world space, keeping the standard lighting model
+    injectWind(shader) {
+        Object.assign(shader.uniforms, this.uniforms);
+
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>
+                attribute float aHeight;
+                attribute float aPhase;
+                attribute float aSwaySpeed;
+                uniform float uTime;
+                uniform float uSwayAmplitude;
+                uniform float uWindStrength;
+                uniform vec2 uWindDirection;
+                uniform float uWindFrequency;
+                uniform float uGustSpeed;
+                varying float vGrassTip;`)
+            .replace('#include <begin_vertex>', `#include <begin_vertex>
+                vGrassTip = position.y;
+                transformed.y *= aHeight;`)
+            .replace('#include <project_vertex>', `
+                vec4 mvPosition = vec4(transformed, 1.0);
+                #ifdef USE_INSTANCING
+                    mvPosition = instanceMatrix * mvPosition;
+                #endif
+
+                // Tips move the most; the root stays planted
+                float bend = position.y * position.y * aHeight;
+                float idle = sin(uTime * aSwaySpeed + aPhase) * uSwayAmplitude;
+                float wave = dot(mvPosition.xz, uWindDirection) * uWindFrequency;
+                float gust = 0.6 + 0.4 * sin(uTime * uGustSpeed - wave + aPhase * 0.3);
+                mvPosition.xz += uWindDirection * bend * (idle + uWindStrength * gust);
+
+                mvPosition = modelViewMatrix * mvPosition;
+                gl_Position = projectionMatrix * mvPosition;`);
+
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `#include <common>
+                varying float vGrassTip;`)
+            .replace('#include <color_fragment>', `#include <color_fragment>
+                // Darker roots give the field some depth
+                diffuseColor.rgb *= mix(0.45, 1.0, vGrassTip);`);
+    }
+}
@@ -0,0 +1,312 @@
+// input.js - Action layer over keyboard and gamepad, with rebindable bindings
+import * as THREE from 'three';
+
+// Human readable names, in the order the rebinding panel lists them
+export const INPUT_ACTIONS = {
+    moveForward: 'Move forward',
+    moveBackward: 'Move back',
+    moveLeft: 'Move left',
+    moveRight: 'Move right',
+    lookLeft: 'Look left',
+    lookRight: 'Look right',
+    lookUp: 'Look up',
+    lookDown: 'Look down',
+    sprint: 'Sprint',
+    interact: 'Interact',
+    skip: 'Skip scene',
+    pause: 'Pause',
+    mute: 'Mute'
+};
+
+// Bindings are strings:
+//   'KeyW', 'ArrowUp', 'Space', ...  keyboard event.code
+//   'Button0' ... 'Button15'           gamepad buttons (standard mapping)
+//   'Axis1-', 'Axis2+'                 one direction of a gamepad stick axis
+// Escape is left out - the browser uses it to release the pointer.
+export const DEFAULT_BINDINGS = {
+    moveForward: ['KeyW', 'ArrowUp', 'Axis1-', 'Button12'],
+    moveBackward: ['KeyS', 'ArrowDown', 'Axis1+', 'Button13'],
+    moveLeft: ['KeyA', 'ArrowLeft', 'Axis0-', 'Button14'],
+    moveRight: ['KeyD', 'ArrowRight', 'Axis0+', 'Button15'],
+    lookLeft: ['Axis2-'],
+    lookRight: ['Axis2+'],
+    lookUp: ['Axis3-'],
+    lookDown: ['Axis3+'],
+    sprint: ['ShiftLeft', 'ShiftRight', 'Button10'],
+    interact: ['KeyE', 'Button0'],
+    skip: ['Space', 'Button2'],
+    pause: ['KeyP', 'Button9'],
+    mute: ['KeyM']
+};
+
+const BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L-stick', 'R-stick', 'D-up', 'D-down', 'D-left', 'D-right'];
+const AXIS_NAMES = ['L-stick left', 'L-stick right', 'L-stick up', 'L-stick down', 'R-stick left', 'R-stick right', 'R-stick up', 'R-stick down'];
+const KEY_NAMES = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', ShiftLeft: 'Left Shift', ShiftRight: 'Right Shift', ControlLeft: 'Left Ctrl', ControlRight: 'Right Ctrl', AltLeft: 'Left Alt', AltRight: 'Right Alt' };
+
+// Short label for a binding, for menus and prompts
+export function describeBinding(binding) {
+    let match = /^Button(\d+)$/.exec(binding);
+    if (match) return `Pad ${BUTTON_NAMES[match[1]] ?? match[1]}`;
+
+    match = /^Axis(\d+)([+-])$/.exec(binding);
+    if (match) {
+        const index = Number(match[1]) * 2 + (match[2] === '+' ? 1 : 0);
+        return AXIS_NAMES[index] ?? `Axis ${match[1]}${match[2]}`;
+    }
+
+    if (KEY_NAMES[binding]) return KEY_NAMES[binding];
+    if (binding.startsWith('Key')) return binding.slice(3);
+    if (binding.startsWith('Digit')) return binding.slice(5);
+    return binding;
+}
+
+export class InputManager {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey ?? 'mirage-of-light:bindings';
+        this.deadZone = options.deadZone ?? 0.15; // Of a stick's full throw
+        this.captureThreshold = options.captureThreshold ?? 0.6; // Stick push that counts when rebinding
+
+        this.bindings = this.loadBindings();
+        this.keys = new Set(); // Codes held down
+        this.tapped = new Set(); // Codes pressed since the last update, so quick taps count
+        this.buttons = []; // Gamepad button values this frame
+        this.axes = []; // Gamepad axes this frame, dead zone applied
+        this.previous = new Map(); // Action values last frame, for presses
+        this.virtual = new Map(); // Values held by on-screen controls
+        this.handlers = new Map();
+        this.capture = null;
+        this.gamepadConnected = false;
+
+        this.onKeyDown = event => {
+            if (this.capture) {
+                // Escape backs out of rebinding with null
+                event.preventDefault();
+                this.finishCapture(event.code === 'Escape' ? null : event.code);
+                return;
+            }
+            this.keys.add(event.code);
+            this.tapped.add(event.code);
+        };
+        this.onKeyUp = event => this.keys.delete(event.code);
+        // Forget held keys when the window loses focus, or they stick down
+        this.onBlur = () => {
+            this.keys.clear();
+            this.tapped.clear();
+        };
+
+        document.addEventListener('keydown', this.onKeyDown);
+        document.addEventListener('keyup', this.onKeyUp);
+        window.addEventListener('blur', this.onBlur);
+    }
+
+    // Stored bindings over the defaults; actions added since keep their defaults
+    loadBindings() {
+        const bindings = structuredClone(DEFAULT_BINDINGS);
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(this.storageKey) ?? 'null');
+            if (stored && typeof stored === 'object') {
+                Object.keys(bindings).forEach(action => {
+                    if (Array.isArray(stored[action])) {
+                        bindings[action] = stored[action].filter(binding => typeof binding === 'string');
+                    }
+                });
+            }
+        } catch (error) {
+            console.warn('Ignoring stored key bindings:', error);
+        }
+        return bindings;
+    }
+
+    saveBindings() {
+        try {
+            window.localStorage.setItem(this.storageKey, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.warn('Could not store key bindings:', error);
+        }
+    }
+
+    // Replace (or with slot === bindings.length, add) one binding of an action.
+    // A binding moves if another action had it, so one input never does two things.
+    rebind(action, slot, binding) {
+        if (!this.bindings[action]) {
+            throw new Error(`Unknown input action "${action}"`);
+        }
+
+        Object.entries(this.bindings).forEach(([other, list]) => {
+            if (other !== action) {
+                this.bindings[other] = list.filter(existing => existing !== binding);
+            }
+        });
+
+        const list = this.bindings[action].filter(existing => existing !== binding);
+        list.splice(Math.min(slot, list.length), slot < this.bindings[action].length ? 1 : 0, binding);
+        this.bindings[action] = list;
+        this.saveBindings();
+    }
+
+    unbind(action, slot) {
+        this.bindings[action].splice(slot, 1);
+        this.saveBindings();
+    }
+
+    resetBindings() {
+        this.bindings = structuredClone(DEFAULT_BINDINGS);
+        this.saveBindings();
+    }
+
+    // Call `callback(binding)` with the next key, pad button or stick push
+    // instead of treating it as gameplay input (null if Escape cancels)
+    captureNext(callback) {
+        this.capture = callback;
+    }
+
+    cancelCapture() {
+        this.capture = null;
+    }
+
+    finishCapture(binding) {
+        const callback = this.capture;
+        this.capture = null;
+        callback(binding);
+    }
+
+    // Called once per action press (keyboard, gamepad or trigger())
+    on(action, handler) {
+        if (!this.handlers.has(action)) {
+            this.handlers.set(action, []);
+        }
+        this.handlers.get(action).push(handler);
+    }
+
+    // Press an action from outside the bindings, e.g. an on-screen button
+    trigger(action) {
+        this.handlers.get(action)?.forEach(handler => handler(action));
+    }
+
+    // Hold an action at an analog value (0 releases it), e.g. from a virtual
+    // joystick; counts alongside the bindings
+    setVirtual(action, value) {
+        if (value > 0) {
+            this.virtual.set(action, Math.min(1, value));
+        } else {
+            this.virtual.delete(action);
+        }
+    }
+
+    // Read the gamepad and fire press handlers; once per frame
+    update() {
+        this.pollGamepad();
+
+        if (this.capture) {
+            const binding = this.findCaptureBinding();
+            if (binding) {
+                this.finishCapture(binding);
+                // Treat the input as already held so it doesn't also act
+                Object.keys(this.bindings).forEach(action => this.previous.set(action, 1));
+            }
+            this.tapped.clear();
+            return;
+        }
+
+        Object.keys(this.bindings).forEach(action => {
+            const value = this.getValue(action);
+            const wasDown = (this.previous.get(action) ?? 0) > 0.5;
+            if (value > 0.5 && !wasDown) {
+                this.handlers.get(action)?.forEach(handler => handler(action));
+            }
+            this.previous.set(action, value);
+        });
+        this.tapped.clear();
+    }
+
+    pollGamepad() {
+        const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+        const pad = [...pads].find(candidate => candidate && candidate.connected);
+        this.gamepadConnected = Boolean(pad);
+
+        if (!pad) {
+            this.buttons.length = 0;
+            this.axes.length = 0;
+            return;
+        }
+
+        this.buttons = pad.buttons.map(button => button.value);
+
+        // Sticks get a radial dead zone, rescaled so the response starts at
+        // zero just outside it instead of jumping
+        this.axes = [...pad.axes];
+        for (let i = 0; i + 1 < this.axes.length; i += 2) {
+            const x = this.axes[i];
+            const y = this.axes[i + 1];
+            const magnitude = Math.hypot(x, y);
+            const scale = magnitude <= this.deadZone
+                ? 0
+                : Math.min(1, (magnitude - this.deadZone) / (1 - this.deadZone)) / magnitude;
+            this.axes[i] = x * scale;
+            this.axes[i + 1] = y * scale;
+        }
+    }
+
+    findCaptureBinding() {
+        const button = this.buttons.findIndex(value => value > 0.5);
+        if (button !== -1) return `Button${button}`;
+
+        const axis = this.axes.findIndex(value => Math.abs(value) > this.captureThreshold);
+        if (axis !== -1) return `Axis${axis}${this.axes[axis] > 0 ? '+' : '-'}`;
+        return null;
+    }
+
+    // Strength of one binding right now, 0 to 1
+    readBinding(binding) {
+        let match = /^Button(\d+)$/.exec(binding);
+        if (match) return this.buttons[match[1]] ?? 0;
+
+        match = /^Axis(\d+)([+-])$/.exec(binding);
+        if (match) {
+            const value = this.axes[match[1]] ?? 0;
+            return Math.max(0, match[2] === '+' ? value : -value);
+        }
+
+        return this.keys.has(binding) || this.tapped.has(binding) ? 1 : 0;
+    }
+
+    // Strongest of an action's bindings, 0 to 1
+    getValue(action) {
+        return (this.bindings[action] ?? []).reduce(
+            (value, binding) => Math.max(value, this.readBinding(binding)),
+            this.virtual.get(action) ?? 0
+        );
+    }
+
+    isDown(action) {
+        return this.getValue(action) > 0.5;
+    }
+
+    // Analog pair of opposing actions, e.g. move: x right, y forward; never
+    // longer than 1 so diagonals aren't faster
+    getAxis2D(negativeX, positiveX, negativeY, positiveY, target = new THREE.Vector2()) {
+        target.set(
+            this.getValue(positiveX) - this.getValue(negativeX),
+            this.getValue(positiveY) - this.getValue(negativeY)
+        );
+        if (target.lengthSq() > 1) {
+            target.normalize();
+        }
+        return target;
+    }
+
+    getMove(target) {
+        return this.getAxis2D('moveLeft', 'moveRight', 'moveBackward', 'moveForward', target);
+    }
+
+    // x right, y up
+    getLook(target) {
+        return this.getAxis2D('lookLeft', 'lookRight', 'lookDown', 'lookUp', target);
+    }
+
+    dispose() {
+        document.removeEventListener('keydown', this.onKeyDown);
+        document.removeEventListener('keyup', this.onKeyUp);
+        window.removeEventListener('blur', this.onBlur);
+    }
+}
@@ -0,0 +1,113 @@
+// mixer.js - Master, music, ambience and SFX buses with the player's levels
+//
+// The levels here belong to the player (the settings panel); automation such
+// as the orb's proximity hush or the transformation's reverb swell happens on
+// nodes before the buses, so the two never fight over one gain.
+
+export const MIXER_BUSES = ['music', 'ambience', 'sfx'];
+
+export const DEFAULT_MIX = {
+    master: 0.7,
+    music: 0.8,
+    ambience: 0.8,
+    sfx: 0.8,
+    reverb: 0.6, // Level of the reverb return
+    muted: false
+};
+
+// Keep a stored or edited mix sane: known keys, levels within 0 to 1
+export function sanitizeMix(mix = {}) {
+    const clean = { ...DEFAULT_MIX };
+    Object.keys(DEFAULT_MIX).forEach(key => {
+        const value = mix[key];
+        if (key === 'muted') {
+            if (typeof value === 'boolean') clean.muted = value;
+        } else if (Number.isFinite(value)) {
+            clean[key] = Math.min(1, Math.max(0, value));
+        }
+    });
+    return clean;
+}
+
+export class AudioMixer {
+    constructor(context, mix = {}) {
+        this.context = context;
+        this.mix = sanitizeMix(mix);
+
+        this.master = context.createGain();
+        this.master.connect(context.destination);
+
+        // Everything sent for reverb arrives here; the caller routes it
+        // through a convolver into reverbReturn
+        this.reverbInput = context.createGain();
+        this.reverbReturn = context.createGain();
+        this.reverbReturn.connect(this.master);
+
+        // Each bus has a dry path and a reverb send at the same level, so
+        // turning a bus down turns its reverb tail down too
+        this.buses = {};
+        MIXER_BUSES.forEach(name => {
+            const input = context.createGain();
+            const send = context.createGain();
+            input.connect(this.master);
+            send.connect(this.reverbInput);
+            this.buses[name] = { input, send };
+        });
+
+        this.apply(0);
+    }
+
+    // { input, send } of a bus, to connect sources to
+    getBus(name) {
+        const bus = this.buses[name];
+        if (!bus) {
+            throw new Error(`Unknown mixer bus "${name}"`);
+        }
+        return bus;
+    }
+
+    // Change one level ('master', a bus name or 'reverb') or 'muted'
+    set(key, value) {
+        if (!(key in DEFAULT_MIX)) {
+            throw new Error(`Unknown mixer setting "${key}"`);
+        }
+        this.mix = sanitizeMix({ ...this.mix, [key]: value });
+        this.apply();
+    }
+
+    setMuted(muted) {
+        this.set('muted', muted);
+    }
+
+    toggleMute() {
+        this.setMuted(!this.mix.muted);
+        return this.mix.muted;
+    }
+
+    getMix() {
+        return { ...this.mix };
+    }
+
+    // Glide to the current levels; a short time constant avoids zipper noise
+    apply(timeConstant = 0.03) {
+        const now = this.context.currentTime;
+        const setLevel = (param, value) => {
+            if (timeConstant > 0) {
+                param.setTargetAtTime(value, now, timeConstant);
+            } else {
+                param.value = value;
+            }
+        };
+
+        setLevel(this.master.gain, this.mix.muted ? 0 : this.mix.master);
+        setLevel(this.reverbReturn.gain, this.mix.reverb);
+        MIXER_BUSES.forEach(name => {
+            setLevel(this.buses[name].input.gain, this.mix[name]);
+            setLevel(this.buses[name].send.gain, this.mix[name]);
+        });
+    }
+
+    dispose() {
+        this.master.disconnect();
+    }
+}
@@ -0,0 +1,257 @@
+// music.js - Generative score: pads, plucks and swells that follow the story
+//
+// Notes are scheduled ahead of time on the audio clock. A timer wakes every
+// `interval` ms and books every eighth-note step falling inside the next
+// `lookahead` seconds, so timing stays sample accurate even when the main
+// thread stutters.
+import * as THREE from 'three';
+
+// Semitone offsets from the root
+export const SCALES = {
+    major: [0, 2, 4, 5, 7, 9, 11],
+    lydian: [0, 2, 4, 6, 7, 9, 11],
+    dorian: [0, 2, 3, 5, 7, 9, 10],
+    aeolian: [0, 2, 3, 5, 7, 8, 10],
+    pentatonic: [0, 2, 4, 7, 9]
+};
+
+// One mood per story node of stories/mirage.json; nodes without a mood keep
+// the current one. `progression` lists chord roots as scale degrees.
+//   root        - MIDI note of the key
+//   tempo       - beats per minute
+//   pad, pluck  - pad level and chance of a pluck on each eighth note
+//   swell       - chance of a swell at each chord change
+//   brightness  - low-pass cutoff in Hz before proximity opens it further
+export const MUSIC_MOODS = {
+    opening: { scale: 'lydian', root: 50, progression: [0, 4, 1, 4], beatsPerChord: 8, tempo: 56, pad: 0.5, pluck: 0.1, swell: 0.2, brightness: 800 },
+    intro: { scale: 'lydian', root: 50, progression: [0, 4, 1, 5], beatsPerChord: 8, tempo: 60, pad: 0.5, pluck: 0.2, swell: 0.2, brightness: 1000 },
+    approaching: { scale: 'dorian', root: 50, progression: [0, 3, 6, 4], beatsPerChord: 8, tempo: 66, pad: 0.55, pluck: 0.35, swell: 0.3, brightness: 1400 },
+    very_close: { scale: 'lydian', root: 52, progression: [0, 1, 4, 5], beatsPerChord: 4, tempo: 72, pad: 0.6, pluck: 0.55, swell: 0.5, brightness: 2000 },
+    touch: { scale: 'lydian', root: 52, progression: [0, 1], beatsPerChord: 4, tempo: 76, pad: 0.7, pluck: 0.7, swell: 0.8, brightness: 2600 },
+    transformation: { scale: 'major', root: 55, progression: [0, 3, 4, 0], beatsPerChord: 8, tempo: 60, pad: 0.8, pluck: 0.3, swell: 1, brightness: 3200 },
+    epilogue: { scale: 'major', root: 50, progression: [0, 3, 0, 4], beatsPerChord: 8, tempo: 48, pad: 0.6, pluck: 0.08, swell: 0.1, brightness: 900 }
+};
+
+export const DEFAULT_SCORE = {
+    mood: 'opening',
+    level: 0.5,
+    lookahead: 0.12, // Seconds booked ahead of the audio clock
+    interval: 25, // Scheduler wake-up, ms
+    riserOutput: null // Where the transformation riser plays; the score's output if null
+};
+
+export function midiToFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+export class GenerativeScore {
+    constructor(context, output, params = {}) {
+        this.context = context;
+        this.options = { ...DEFAULT_SCORE, ...params };
+
+        if (!MUSIC_MOODS[this.options.mood]) {
+            throw new Error(`Unknown music mood "${this.options.mood}"`);
+        }
+        this.mood = MUSIC_MOODS[this.options.mood];
+        this.pendingMood = null;
+        this.proximity = 0;
+        this.tempo = this.mood.tempo;
+
+        this.stepInChord = 0;
+        this.chordIndex = 0;
+        this.chord = [];
+        this.nextStepTime = 0;
+        this.timer = null;
+        this.riser = null;
+
+        // Everything runs through one low-pass, so brightness changes glide
+        this.filter = context.createBiquadFilter();
+        this.filter.type = 'lowpass';
+        this.filter.frequency.value = this.mood.brightness;
+        this.filter.Q.value = 0.7;
+
+        this.output = context.createGain();
+        this.output.gain.value = this.options.level;
+        this.filter.connect(this.output);
+        this.output.connect(output);
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.nextStepTime = this.context.currentTime + 0.1;
+        this.timer = setInterval(() => this.schedule(), this.options.interval);
+        this.schedule();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Switch mood at the next chord change; unknown names keep the current
+    // one, so stories with their own node names still play
+    setMood(name) {
+        const mood = MUSIC_MOODS[name];
+        if (mood && mood !== this.mood) {
+            this.pendingMood = mood;
+        }
+    }
+
+    // 0 far from the orb to 1 touching it: busier, brighter, a little faster
+    setProximity(value) {
+        this.proximity = THREE.MathUtils.clamp(value, 0, 1);
+        const cutoff = this.mood.brightness * (1 + this.proximity * 1.5);
+        this.filter.frequency.setTargetAtTime(cutoff, this.context.currentTime, 0.5);
+    }
+
+    stepsPerChord() {
+        return this.mood.beatsPerChord * 2;
+    }
+
+    schedule() {
+        const until = this.context.currentTime + this.options.lookahead;
+        while (this.nextStepTime < until) {
+            this.playStep(this.nextStepTime);
+
+            // Glide towards the mood's tempo rather than jumping
+            const targetTempo = this.mood.tempo + this.proximity * 6;
+            this.tempo += (targetTempo - this.tempo) * 0.05;
+            this.nextStepTime += 60 / this.tempo / 2;
+            this.stepInChord++;
+        }
+    }
+
+    playStep(time) {
+        // A new chord on the first step and whenever the last one has run
+        // its length (which a mood change can shorten)
+        if (this.stepInChord === 0 || this.stepInChord >= this.stepsPerChord()) {
+            if (this.pendingMood) {
+                this.mood = this.pendingMood;
+                this.pendingMood = null;
+                this.chordIndex = 0;
+                this.setProximity(this.proximity);
+            } else if (this.chord.length) {
+                this.chordIndex = (this.chordIndex + 1) % this.mood.progression.length;
+            }
+            this.stepInChord = 0;
+
+            this.chord = this.buildChord(this.mood.progression[this.chordIndex]);
+            const chordLength = this.stepsPerChord() * 60 / this.tempo / 2;
+            this.playPad(time, this.chord, chordLength);
+
+            if (Math.random() < this.mood.swell) {
+                this.playSwell(time, this.chord, chordLength);
+            }
+        }
+
+        // Arpeggiated plucks, denser near the orb
+        const chance = this.mood.pluck * (0.5 + this.proximity);
+        if (this.chord.length && Math.random() < chance) {
+            const note = this.chord[(this.stepInChord + Math.floor(Math.random() * 2)) % this.chord.length] + 12;
+            this.playPluck(time, note);
+        }
+    }
+
+    // A seventh chord stacked in thirds from a scale degree, as MIDI notes
+    buildChord(degree) {
+        const scale = SCALES[this.mood.scale];
+        return [0, 2, 4, 6].map(offset => {
+            const index = degree + offset;
+            const octave = Math.floor(index / scale.length);
+            return this.mood.root + scale[index % scale.length] + octave * 12;
+        });
+    }
+
+    // Two detuned saws per note, faded in and out over the chord
+    playPad(time, notes, length) {
+        const gain = this.context.createGain();
+        const level = this.mood.pad * 0.08;
+        gain.gain.setValueAtTime(0, time);
+        gain.gain.linearRampToValueAtTime(level, time + length * 0.4);
+        gain.gain.setTargetAtTime(0, time + length, length * 0.15);
+        gain.connect(this.filter);
+
+        const end = time + length * 1.8;
+        notes.forEach(note => {
+            [-6, 6].forEach(detune => {
+                const oscillator = this.context.createOscillator();
+                oscillator.type = 'sawtooth';
+                oscillator.frequency.value = midiToFrequency(note);
+                oscillator.detune.value = detune;
+                oscillator.connect(gain);
+                oscillator.start(time);
+                oscillator.stop(end);
+            });
+        });
+    }
+
+    playPluck(time, note) {
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(0.12, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.8);
+        gain.connect(this.filter);
+
+        const oscillator = this.context.createOscillator();
+        oscillator.type = 'triangle';
+        oscillator.frequency.value = midiToFrequency(note);
+        oscillator.connect(gain);
+        oscillator.start(time);
+        oscillator.stop(time + 0.85);
+    }
+
+    // Soft sines an octave up, rising and falling across the chord
+    playSwell(time, notes, length) {
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(0, time);
+        gain.gain.linearRampToValueAtTime(0.05, time + length / 2);
+        gain.gain.linearRampToValueAtTime(0, time + length);
+        gain.connect(this.filter);
+
+        notes.slice(0, 3).forEach(note => {
+            const oscillator = this.context.createOscillator();
+            oscillator.type = 'sine';
+            oscillator.frequency.value = midiToFrequency(note + 12);
+            oscillator.connect(gain);
+            oscillator.start(time);
+            oscillator.stop(time + length);
+        });
+    }
+
+    // The transformation's rising tone, with the chord swelling under it
+    playRiser(duration = 5) {
+        this.stopRiser();
+
+        const time = this.context.currentTime;
+        const oscillator = this.context.createOscillator();
+        oscillator.type = 'sine';
+        oscillator.frequency.setValueAtTime(220, time);
+        oscillator.frequency.exponentialRampToValueAtTime(880, time + duration * 0.6);
+
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(0, time);
+        gain.gain.linearRampToValueAtTime(0.2, time + 0.1);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+        oscillator.connect(gain);
+        gain.connect(this.options.riserOutput ?? this.output);
+        oscillator.start(time);
+        oscillator.stop(time + duration);
+        this.riser = oscillator;
+
+        if (this.chord.length) {
+            this.playSwell(time, this.chord, duration);
+        }
+    }
+
+    stopRiser() {
+        this.riser?.stop();
+        this.riser = null;
+    }
+
+    dispose() {
+        this.stop();
+        this.stopRiser();
+        this.output.disconnect();
+    }
+}
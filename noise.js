@@ -0,0 +1,138 @@
+// noise.js - Seeded coherent noise (2D simplex) with fractal variants for terrain
+import { SeededRandom } from './random.js';
+
+const F2 = 0.5 * (Math.sqrt(3) - 1);
+const G2 = (3 - Math.sqrt(3)) / 6;
+
+// Twelve gradient directions, evenly spread around the circle
+const GRADIENTS = [];
+for (let i = 0; i < 12; i++) {
+    const angle = (i / 12) * Math.PI * 2;
+    GRADIENTS.push([Math.cos(angle), Math.sin(angle)]);
+}
+
+export class Noise {
+    constructor(random = new SeededRandom()) {
+        // Shuffle a permutation table with the seeded generator
+        const permutation = new Uint8Array(256);
+        for (let i = 0; i < 256; i++) {
+            permutation[i] = i;
+        }
+        for (let i = 255; i > 0; i--) {
+            const j = Math.floor(random.next() * (i + 1));
+            const swap = permutation[i];
+            permutation[i] = permutation[j];
+            permutation[j] = swap;
+        }
+
+        // Doubled so lookups never need to wrap
+        this.perm = new Uint8Array(512);
+        this.permMod12 = new Uint8Array(512);
+        for (let i = 0; i < 512; i++) {
+            this.perm[i] = permutation[i & 255];
+            this.permMod12[i] = this.perm[i] % 12;
+        }
+    }
+
+    // Single octave of 2D simplex noise, roughly in [-1, 1]
+    simplex(x, y) {
+        const perm = this.perm;
+        const permMod12 = this.permMod12;
+
+        // Skew into simplex space to find the containing cell
+        const s = (x + y) * F2;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const t = (i + j) * G2;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+
+        // Which of the two triangles of the cell we're in
+        const i1 = x0 > y0 ? 1 : 0;
+        const j1 = x0 > y0 ? 0 : 1;
+
+        const x1 = x0 - i1 + G2;
+        const y1 = y0 - j1 + G2;
+        const x2 = x0 - 1 + 2 * G2;
+        const y2 = y0 - 1 + 2 * G2;
+
+        const ii = i & 255;
+        const jj = j & 255;
+
+        let total = 0;
+
+        let t0 = 0.5 - x0 * x0 - y0 * y0;
+        if (t0 > 0) {
+            const g = GRADIENTS[permMod12[ii + perm[jj]]];
+            t0 *= t0;
+            total += t0 * t0 * (g[0] * x0 + g[1] * y0);
+        }
+
+        let t1 = 0.5 - x1 * x1 - y1 * y1;
+        if (t1 > 0) {
+            const g = GRADIENTS[permMod12[ii + i1 + perm[jj + j1]]];
+            t1 *= t1;
+            total += t1 * t1 * (g[0] * x1 + g[1] * y1);
+        }
+
+        let t2 = 0.5 - x2 * x2 - y2 * y2;
+        if (t2 > 0) {
+            const g = GRADIENTS[permMod12[ii + 1 + perm[jj + 1]]];
+            t2 *= t2;
+            total += t2 * t2 * (g[0] * x2 + g[1] * y2);
+        }
+
+        // Scale the result to roughly fill [-1, 1]
+        return 70 * total;
+    }
+
+    // Fractal Brownian motion - layered octaves for natural rolling shapes
+    fbm(x, y, { octaves = 5, lacunarity = 2, gain = 0.5 } = {}) {
+        let amplitude = 1;
+        let frequency = 1;
+        let total = 0;
+        let normalization = 0;
+
+        for (let i = 0; i < octaves; i++) {
+            total += this.simplex(x * frequency, y * frequency) * amplitude;
+            normalization += amplitude;
+            amplitude *= gain;
+            frequency *= lacunarity;
+        }
+
+        return total / normalization;
+    }
+
+    // Ridged multifractal - sharp crests, useful for rocky hills
+    // Returns roughly [-1, 1] so it can be swapped in for fbm
+    ridged(x, y, { octaves = 5, lacunarity = 2, gain = 0.5 } = {}) {
+        let amplitude = 1;
+        let frequency = 1;
+        let weight = 1;
+        let total = 0;
+        let normalization = 0;
+
+        for (let i = 0; i < octaves; i++) {
+            let signal = 1 - Math.abs(this.simplex(x * frequency, y * frequency));
+            signal *= signal * weight;
+
+            // Let each crest sharpen the detail laid on top of it
+            weight = Math.min(1, Math.max(0, signal * 2));
+
+            total += signal * amplitude;
+            normalization += amplitude;
+            amplitude *= gain;
+            frequency *= lacunarity;
+        }
+
+        return (total / normalization) * 2 - 1;
+    }
+
+    // Domain-warped fbm - offsets the lookup by another noise field,
+    // giving swirling, eroded-looking shapes
+    warped(x, y, { warpStrength = 1, ...fractal } = {}) {
+        const warpX = this.fbm(x + 5.2, y + 1.3, fractal);
+        const warpY = this.fbm(x - 1.7, y + 9.2, fractal);
+        return this.fbm(x + warpX * warpStrength, y + warpY * warpStrength, fractal);
+    }
+}
@@ -0,0 +1,438 @@
+// particles.js - Pooled particle engine: one Points draw call, declarative emitters
+import * as THREE from 'three';
+
+// Emitter configs. Ranges are [min, max] picked per particle; "over life"
+// values are lists of stops blended evenly from birth to death.
+//   count    - particles spawned at once when the emitter is created
+//   rate     - particles per second after that (0 for a single burst)
+//   lifetime - seconds each particle lives (Infinity until cleared)
+//   shape    - where particles spawn: { type: 'point' | 'sphere' | 'shell', radius }
+//   motion   - 'ballistic' (velocity, gravity, drag) or 'orbit' (circle the origin)
+//   velocity - ballistic start velocity: { type: 'box' | 'radial', speed }
+//   gravity  - downward acceleration for ballistic particles
+//   drag     - fraction of velocity lost per second
+//   orbit    - { speed (radians/s), pulse, pulseSpeed, expand (radius over life) }
+//   color, opacity, size - over life; size is in world units
+//   position - spawn origin (Vector3), in the attach target's space if attached
+//   attach   - Object3D the emitter follows; particles live in its space and
+//              hide with it
+export const PARTICLE_PRESETS = {
+    // Motes circling the orb
+    orbGlow: {
+        count: 100,
+        lifetime: Infinity,
+        shape: { type: 'shell', radius: [0.7, 1] },
+        motion: 'orbit',
+        orbit: { speed: [0.3, 0.9], pulse: 0.1, pulseSpeed: 1 },
+        color: [0xffcc66],
+        opacity: [1],
+        size: [0.06]
+    },
+    // Sparks thrown off the orb; the music sets the rate
+    orbSparks: {
+        rate: 4,
+        lifetime: [0.8, 1.6],
+        shape: { type: 'shell', radius: [0.6, 0.8] },
+        motion: 'ballistic',
+        velocity: { type: 'radial', speed: [0.4, 1.2] },
+        drag: 1.5,
+        color: [0xffeeaa, 0xffaa44],
+        opacity: [1, 0],
+        size: [0.05, 0.02]
+    },
+    // The orb bursting into shards
+    shatter: {
+        count: 500,
+        lifetime: [2, 4],
+        shape: { type: 'point' },
+        motion: 'ballistic',
+        velocity: { type: 'box', speed: 1.5 },
+        gravity: 2,
+        color: [0xffffff],
+        opacity: [1, 0],
+        size: [0.06]
+    },
+    // Light swirling around the player as it enters them
+    transformation: {
+        count: 300,
+        lifetime: [9, 11],
+        shape: { type: 'shell', radius: [0.3, 0.5] },
+        motion: 'orbit',
+        orbit: { speed: [0.25, 0.75], expand: [1, 2] },
+        color: [0xffcc66],
+        opacity: [0.8, 0.4, 0],
+        size: [0.04]
+    }
+};
+
+const DEFAULT_EMITTER = {
+    count: 0,
+    rate: 0,
+    lifetime: [1, 1],
+    shape: { type: 'point' },
+    motion: 'ballistic',
+    velocity: { type: 'box', speed: [0, 0] },
+    gravity: 0,
+    drag: 0,
+    orbit: { speed: [0, 0], pulse: 0, pulseSpeed: 1, expand: [1] },
+    color: [0xffffff],
+    opacity: [1],
+    size: [0.05],
+    attach: null
+};
+
+const particleVertexShader = /* glsl */`
+    attribute vec3 aColor;
+    attribute float aAlpha;
+    attribute float aSize;
+    uniform float uViewportHeight;
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        vColor = aColor;
+        vAlpha = aAlpha;
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+        // World-size sprites, like PointsMaterial with sizeAttenuation
+        gl_PointSize = aSize * projectionMatrix[1][1] * uViewportHeight * 0.5 / -mvPosition.z;
+    }
+`;
+
+const particleFragmentShader = /* glsl */`
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        float d = length(gl_PointCoord - 0.5);
+        float alpha = smoothstep(0.5, 0.35, d) * vAlpha;
+        if (alpha < 0.01) discard;
+        gl_FragColor = vec4(vColor, alpha);
+    }
+`;
+
+const range = value => Array.isArray(value) ? value : [value, value];
+const randomIn = ([min, max]) => min + Math.random() * (max - min);
+
+// Value of an over-life list at t (0 - 1)
+function sampleStops(stops, t) {
+    if (stops.length === 1) return stops[0];
+    const scaled = Math.min(t, 1) * (stops.length - 1);
+    const index = Math.min(Math.floor(scaled), stops.length - 2);
+    return THREE.MathUtils.lerp(stops[index], stops[index + 1], scaled - index);
+}
+
+export class ParticleEmitter {
+    constructor(system, config) {
+        this.system = system;
+        this.config = {
+            ...DEFAULT_EMITTER,
+            ...config,
+            orbit: { ...DEFAULT_EMITTER.orbit, ...config.orbit }
+        };
+        this.colors = this.config.color.map(color => new THREE.Color(color));
+
+        // Spawn origin in world space, or in the attach target's space
+        this.position = new THREE.Vector3();
+        if (config.position) {
+            this.position.copy(config.position);
+        }
+
+        this.opacity = 1; // Multiplier for the whole emitter
+        this.emitting = this.config.rate > 0;
+        this.particles = new Set(); // Pool slots in use
+        this.spawnDebt = 0;
+
+        this.emit(this.config.count);
+    }
+
+    get attach() {
+        return this.config.attach;
+    }
+
+    // Spawn particles now (limited by the pool's free slots)
+    emit(count) {
+        for (let i = 0; i < count; i++) {
+            const slot = this.system.allocate(this);
+            if (slot === -1) return;
+            this.particles.add(slot);
+            this.system.initialize(slot, this);
+        }
+    }
+
+    // Change the continuous rate; a burst-only emitter stays one
+    setRate(rate) {
+        this.config.rate = Math.max(0, rate);
+    }
+
+    // Stop continuous emission; live particles run out their lives
+    stop() {
+        this.emitting = false;
+    }
+
+    // No more particles coming and none left
+    isFinished() {
+        return !this.emitting && this.particles.size === 0;
+    }
+
+    update(delta) {
+        if (!this.emitting) return;
+        this.spawnDebt += this.config.rate * delta;
+        const count = Math.floor(this.spawnDebt);
+        this.spawnDebt -= count;
+        this.emit(count);
+    }
+}
+
+export class ParticleSystem {
+    constructor(capacity = 4096) {
+        this.capacity = capacity;
+        this.emitters = [];
+        this.time = 0;
+
+        // Simulation state, one slot per particle
+        this.owner = new Array(capacity).fill(null);
+        this.local = new Float32Array(capacity * 3); // Position in emitter space
+        this.velocity = new Float32Array(capacity * 3);
+        this.age = new Float32Array(capacity);
+        this.lifetime = new Float32Array(capacity);
+        this.orbit = new Float32Array(capacity * 5); // theta, phi, radius, speed, phase
+        this.free = [];
+        for (let i = capacity - 1; i >= 0; i--) {
+            this.free.push(i);
+        }
+        this.highWater = 0; // One past the highest slot ever used
+
+        // Render buffers
+        const geometry = new THREE.BufferGeometry();
+        this.positions = new THREE.BufferAttribute(new Float32Array(capacity * 3), 3);
+        this.colors = new THREE.BufferAttribute(new Float32Array(capacity * 3), 3);
+        this.alphas = new THREE.BufferAttribute(new Float32Array(capacity), 1);
+        this.sizes = new THREE.BufferAttribute(new Float32Array(capacity), 1);
+        [this.positions, this.colors, this.alphas, this.sizes].forEach(attribute => {
+            attribute.setUsage(THREE.DynamicDrawUsage);
+        });
+        geometry.setAttribute('position', this.positions);
+        geometry.setAttribute('aColor', this.colors);
+        geometry.setAttribute('aAlpha', this.alphas);
+        geometry.setAttribute('aSize', this.sizes);
+        geometry.setDrawRange(0, 0);
+
+        this.uniforms = {
+            uViewportHeight: { value: 1 }
+        };
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            vertexShader: particleVertexShader,
+            fragmentShader: particleFragmentShader,
+            transparent: true,
+            depthWrite: false
+        });
+
+        this.points = new THREE.Points(geometry, material);
+        this.points.frustumCulled = false; // Particles go everywhere
+        this.points.name = 'particles';
+
+        const viewport = new THREE.Vector2();
+        this.points.onBeforeRender = renderer => {
+            this.uniforms.uViewportHeight.value = renderer.getDrawingBufferSize(viewport).y;
+        };
+
+        this._matrix = new THREE.Matrix4();
+        this._vector = new THREE.Vector3();
+        this._color = new THREE.Color();
+    }
+
+    // New emitter from a config, or a preset name plus overrides
+    createEmitter(config, overrides = {}) {
+        const base = typeof config === 'string' ? PARTICLE_PRESETS[config] : config;
+        if (!base) {
+            throw new Error(`Unknown particle preset "${config}"`);
+        }
+
+        const emitter = new ParticleEmitter(this, { ...base, ...overrides });
+        this.emitters.push(emitter);
+        return emitter;
+    }
+
+    // Drop an emitter and its particles straight away
+    removeEmitter(emitter) {
+        emitter.particles.forEach(slot => this.release(slot));
+        emitter.particles.clear();
+        emitter.emitting = false;
+        this.emitters = this.emitters.filter(candidate => candidate !== emitter);
+    }
+
+    // Remove every emitter (or every one but those listed)
+    clear(keep = []) {
+        [...this.emitters].forEach(emitter => {
+            if (!keep.includes(emitter)) this.removeEmitter(emitter);
+        });
+    }
+
+    allocate(emitter) {
+        if (this.free.length === 0) return -1;
+        const slot = this.free.pop();
+        this.owner[slot] = emitter;
+        this.highWater = Math.max(this.highWater, slot + 1);
+        return slot;
+    }
+
+    release(slot) {
+        this.owner[slot] = null;
+        this.sizes.array[slot] = 0;
+        this.alphas.array[slot] = 0;
+        this.free.push(slot);
+    }
+
+    // Starting state of a newly spawned particle
+    initialize(slot, emitter) {
+        const config = emitter.config;
+        const i3 = slot * 3;
+        const i5 = slot * 5;
+        const direction = this._vector.randomDirection();
+
+        this.age[slot] = 0;
+        this.lifetime[slot] = config.lifetime === Infinity ? Infinity : randomIn(range(config.lifetime));
+
+        let radius = 0;
+        if (config.shape.type === 'sphere') {
+            radius = Math.cbrt(Math.random()) * randomIn(range(config.shape.radius));
+        } else if (config.shape.type === 'shell') {
+            radius = randomIn(range(config.shape.radius));
+        }
+
+        if (config.motion === 'orbit') {
+            this.orbit[i5] = Math.random() * Math.PI * 2; // theta
+            this.orbit[i5 + 1] = Math.random() * Math.PI; // phi
+            this.orbit[i5 + 2] = radius;
+            this.orbit[i5 + 3] = randomIn(range(config.orbit.speed));
+            this.orbit[i5 + 4] = Math.random() * Math.PI * 2;
+            this.updateOrbit(slot, emitter, 0);
+            return;
+        }
+
+        this.local[i3] = emitter.position.x + direction.x * radius;
+        this.local[i3 + 1] = emitter.position.y + direction.y * radius;
+        this.local[i3 + 2] = emitter.position.z + direction.z * radius;
+
+        const speed = randomIn(range(config.velocity.speed));
+        if (config.velocity.type === 'radial') {
+            direction.multiplyScalar(speed);
+        } else {
+            direction.set(Math.random() * 2 - 1, Math.random() * 2 - 1, Math.random() * 2 - 1).multiplyScalar(speed);
+        }
+        this.velocity[i3] = direction.x;
+        this.velocity[i3 + 1] = direction.y;
+        this.velocity[i3 + 2] = direction.z;
+    }
+
+    // Circle the emitter origin on the particle's own sphere
+    updateOrbit(slot, emitter, delta) {
+        const { orbit } = emitter.config;
+        const i3 = slot * 3;
+        const i5 = slot * 5;
+
+        this.orbit[i5] += this.orbit[i5 + 3] * delta;
+        const theta = this.orbit[i5];
+        const phi = this.orbit[i5 + 1];
+        const life = this.lifetime[slot] === Infinity ? 0 : this.age[slot] / this.lifetime[slot];
+        const pulse = 1 + Math.sin(this.time * orbit.pulseSpeed * this.orbit[i5 + 3] + this.orbit[i5 + 4]) * orbit.pulse;
+        const radius = this.orbit[i5 + 2] * pulse * sampleStops(orbit.expand, life);
+
+        this.local[i3] = emitter.position.x + radius * Math.sin(phi) * Math.cos(theta);
+        this.local[i3 + 1] = emitter.position.y + radius * Math.sin(phi) * Math.sin(theta);
+        this.local[i3 + 2] = emitter.position.z + radius * Math.cos(phi);
+    }
+
+    update(delta) {
+        this.time += delta;
+        this.emitters.forEach(emitter => emitter.update(delta));
+
+        const positions = this.positions.array;
+        const colors = this.colors.array;
+        const alphas = this.alphas.array;
+        const sizes = this.sizes.array;
+
+        // Each attached emitter's transform, looked up once per frame
+        const transforms = new Map();
+        this.emitters.forEach(emitter => {
+            if (emitter.attach) {
+                emitter.attach.updateWorldMatrix(true, false);
+                transforms.set(emitter, emitter.attach.matrixWorld);
+            }
+        });
+
+        for (let slot = 0; slot < this.highWater; slot++) {
+            const emitter = this.owner[slot];
+            if (!emitter) continue;
+
+            const config = emitter.config;
+            const i3 = slot * 3;
+            this.age[slot] += delta;
+            const life = this.age[slot] / this.lifetime[slot];
+
+            if (life >= 1) {
+                emitter.particles.delete(slot);
+                this.release(slot);
+                continue;
+            }
+
+            if (config.motion === 'orbit') {
+                this.updateOrbit(slot, emitter, delta);
+            } else {
+                const damping = Math.max(0, 1 - config.drag * delta);
+                this.velocity[i3] *= damping;
+                this.velocity[i3 + 1] = this.velocity[i3 + 1] * damping - config.gravity * delta;
+                this.velocity[i3 + 2] *= damping;
+                this.local[i3] += this.velocity[i3] * delta;
+                this.local[i3 + 1] += this.velocity[i3 + 1] * delta;
+                this.local[i3 + 2] += this.velocity[i3 + 2] * delta;
+            }
+
+            const point = this._vector.fromArray(this.local, i3);
+            const transform = transforms.get(emitter);
+            if (transform) {
+                point.applyMatrix4(transform);
+            }
+            point.toArray(positions, i3);
+
+            // Colors blend between stops like the other over-life values
+            const stops = emitter.colors;
+            const t = Math.min(life, 1) * (stops.length - 1);
+            const index = Math.min(Math.floor(t), Math.max(0, stops.length - 2));
+            this._color.copy(stops[index]);
+            if (stops.length > 1) {
+                this._color.lerp(stops[index + 1], t - index);
+            }
+            this._color.toArray(colors, i3);
+
+            const hidden = emitter.attach && !emitter.attach.visible;
+            alphas[slot] = hidden ? 0 : sampleStops(config.opacity, life) * emitter.opacity;
+            sizes[slot] = hidden ? 0 : sampleStops(config.size, life);
+        }
+
+        // Burst emitters go away once their last particle has
+        this.emitters
+            .filter(emitter => emitter.isFinished())
+            .forEach(emitter => this.removeEmitter(emitter));
+
+        // Shrink the draw range when the top of the pool is empty
+        while (this.highWater > 0 && !this.owner[this.highWater - 1]) {
+            this.highWater--;
+        }
+        this.points.geometry.setDrawRange(0, this.highWater);
+
+        [this.positions, this.colors, this.alphas, this.sizes].forEach(attribute => {
+            attribute.needsUpdate = true;
+        });
+    }
+
+    dispose() {
+        this.clear();
+        this.points.removeFromParent();
+        this.points.geometry.dispose();
+        this.points.material.dispose();
+    }
+}
@@ -0,0 +1,87 @@
+// player.js - Keeps the player on the ground and out of the scenery
+import * as THREE from 'three';
+
+export class CharacterController {
+    constructor(camera, environment, options = {}) {
+        this.camera = camera;
+        this.environment = environment;
+
+        this.eyeHeight = options.eyeHeight ?? 2.5; // Above the terrain surface
+        this.radius = options.radius ?? 0.4; // Player's collision circle
+        this.heightSmoothing = options.heightSmoothing ?? 12; // Higher = snappier
+        this.collisionIterations = options.collisionIterations ?? 3;
+
+        this.position = new THREE.Vector3();
+        this._push = new THREE.Vector3();
+    }
+
+    // Place the player at (x, z) standing on the ground
+    teleport(x, z) {
+        this.position.set(x, 0, z);
+        this.resolveCollisions();
+        this.clampToBounds();
+        this.position.y = this.environment.getHeightAt(this.position.x, this.position.z) + this.eyeHeight;
+        this.camera.position.copy(this.position);
+    }
+
+    // Try to move by a horizontal world-space offset, sliding along obstacles
+    move(offset, delta) {
+        this.position.copy(this.camera.position);
+        this.position.x += offset.x;
+        this.position.z += offset.z;
+
+        this.resolveCollisions();
+        this.clampToBounds();
+
+        // Ease towards the ground height so small bumps don't jolt the view
+        const groundY = this.environment.getHeightAt(this.position.x, this.position.z) + this.eyeHeight;
+        const t = 1 - Math.exp(-this.heightSmoothing * delta);
+        this.position.y = this.camera.position.y + (groundY - this.camera.position.y) * t;
+
+        this.camera.position.copy(this.position);
+        return this.position;
+    }
+
+    // Push the player out of any overlapping collider. Only the component of
+    // motion into the obstacle is removed, which leaves a slide along it.
+    resolveCollisions() {
+        const colliders = this.environment.colliders;
+
+        for (let iteration = 0; iteration < this.collisionIterations; iteration++) {
+            let collided = false;
+
+            for (const collider of colliders) {
+                const dx = this.position.x - collider.x;
+                const dz = this.position.z - collider.z;
+                const minDistance = collider.radius + this.radius;
+                const distanceSq = dx * dx + dz * dz;
+
+                if (distanceSq >= minDistance * minDistance) continue;
+
+                const distance = Math.sqrt(distanceSq);
+                if (distance > 1e-6) {
+                    this._push.set(dx / distance, 0, dz / distance);
+                } else {
+                    // Exactly on the center - pick any direction out
+                    this._push.set(1, 0, 0);
+                }
+
+                const depth = minDistance - distance;
+                this.position.x += this._push.x * depth;
+                this.position.z += this._push.z * depth;
+                collided = true;
+            }
+
+            if (!collided) break;
+        }
+    }
+
+    // Keep the player inside the generated world
+    clampToBounds() {
+        const bounds = this.environment.getBounds();
+        if (!bounds) return;
+
+        this.position.x = THREE.MathUtils.clamp(this.position.x, bounds.minX + this.radius, bounds.maxX - this.radius);
+        this.position.z = THREE.MathUtils.clamp(this.position.z, bounds.minZ + this.radius, bounds.maxZ - this.radius);
+    }
+}
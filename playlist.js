@@ -0,0 +1,154 @@
+// playlist.js - The player's own tracks, crossfaded one into the next
+
+export const DEFAULT_PLAYLIST = {
+    crossfade: 4, // Seconds each change overlaps
+    loop: true, // Start over after the last track
+    onChange: () => {}, // Tracks or the current track changed
+    onError: () => {} // A file could not be used; gets a message for the player
+};
+
+const AUDIO_EXTENSIONS = /\.(mp3|ogg|oga|opus|wav|flac|m4a|aac|webm)$/i;
+
+export class Playlist {
+    constructor(context, output, params = {}) {
+        this.context = context;
+        this.output = output;
+        this.options = { ...DEFAULT_PLAYLIST, ...params };
+
+        this.tracks = []; // { name, buffer }
+        this.current = -1;
+        this.voice = null; // { source, gain } of the track playing
+        this.timer = null;
+    }
+
+    // Decode dropped or picked files and add them; the first track added to
+    // an idle playlist starts playing. Resolves once every file is handled.
+    async addFiles(files) {
+        const wasIdle = !this.isPlaying();
+        const firstNew = this.tracks.length;
+
+        for (const file of files) {
+            if (!(file.type.startsWith('audio/') || AUDIO_EXTENSIONS.test(file.name))) {
+                this.options.onError(`"${file.name}" is not an audio file`);
+                continue;
+            }
+
+            try {
+                const data = await file.arrayBuffer();
+                const buffer = await this.context.decodeAudioData(data);
+                this.tracks.push({ name: file.name.replace(/\.[^.]+$/, ''), buffer });
+                this.options.onChange();
+            } catch (error) {
+                this.options.onError(`Could not play "${file.name}": ${error?.message || 'the file could not be decoded'}`);
+            }
+        }
+
+        if (wasIdle && this.tracks.length > firstNew) {
+            this.play(firstNew);
+        }
+    }
+
+    isPlaying() {
+        return this.voice !== null;
+    }
+
+    play(index) {
+        const track = this.tracks[index];
+        if (!track) return;
+
+        // Clips shorter than two crossfades overlap for half their length,
+        // so a fade never runs past the end of the track
+        const now = this.context.currentTime;
+        const overlap = Math.min(this.options.crossfade, track.buffer.duration / 2);
+        const fade = this.voice ? overlap : Math.min(0.5, overlap);
+        this.fadeOut(fade);
+
+        const source = this.context.createBufferSource();
+        source.buffer = track.buffer;
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(0, now);
+        gain.gain.linearRampToValueAtTime(1, now + fade);
+        source.connect(gain);
+        gain.connect(this.output);
+        source.start(now);
+
+        this.voice = { source, gain };
+        this.current = index;
+
+        // Begin the next crossfade before this track runs out
+        clearTimeout(this.timer);
+        const untilNext = track.buffer.duration - overlap;
+        this.timer = setTimeout(() => this.advance(), untilNext * 1000);
+
+        this.options.onChange();
+    }
+
+    advance() {
+        const next = this.current + 1;
+        if (next < this.tracks.length) {
+            this.play(next);
+        } else if (this.options.loop && this.tracks.length) {
+            this.play(0);
+        } else {
+            this.stop();
+        }
+    }
+
+    next() {
+        if (this.tracks.length) {
+            this.play((this.current + 1) % this.tracks.length);
+        }
+    }
+
+    previous() {
+        if (this.tracks.length) {
+            this.play((this.current - 1 + this.tracks.length) % this.tracks.length);
+        }
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.fadeOut(this.options.crossfade);
+        this.current = -1;
+        this.options.onChange();
+    }
+
+    remove(index) {
+        if (!this.tracks[index]) return;
+
+        this.tracks.splice(index, 1);
+        if (index === this.current) {
+            if (this.tracks.length) {
+                this.play(index % this.tracks.length);
+            } else {
+                this.stop();
+            }
+            return;
+        }
+        if (index < this.current) {
+            this.current--;
+        }
+        this.options.onChange();
+    }
+
+    // Let the playing track die away
+    fadeOut(duration) {
+        if (!this.voice) return;
+
+        const { source, gain } = this.voice;
+        const now = this.context.currentTime;
+        gain.gain.cancelScheduledValues(now);
+        gain.gain.setValueAtTime(gain.gain.value, now);
+        gain.gain.linearRampToValueAtTime(0, now + duration);
+        source.stop(now + duration + 0.1);
+        source.onended = () => gain.disconnect();
+        this.voice = null;
+    }
+
+    dispose() {
+        clearTimeout(this.timer);
+        this.fadeOut(0.1);
+        this.tracks = [];
+    }
+}
@@ -0,0 +1,364 @@
+// postprocessing.js - Effect composer: selective bloom, god rays, chromatic
+// aberration, ACES tone mapping, vignette and a fade to a color
+//
+// Bloom only picks up objects added with addBloom (the orb, fireflies): the
+// scene is drawn a second time with everything else writing depth only, so
+// the glow is still hidden behind trees and hills. God rays stream from the
+// light source through that same glow, and grow with setProximity along with
+// the chromatic aberration.
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { VignetteShader } from 'three/examples/jsm/shaders/VignetteShader.js';
+
+// Passes the player can switch; the fade runs whenever it is above 0
+export const POST_PASSES = ['bloom', 'godRays', 'chromaticAberration', 'toneMapping', 'vignette'];
+
+export const DEFAULT_POST_PROCESSING = {
+    passes: { bloom: true, godRays: true, chromaticAberration: true, toneMapping: true, vignette: true },
+    bloomLayer: 1, // Layer marking objects that glow
+    bloomStrength: 1.2,
+    bloomRadius: 0.5,
+    bloomThreshold: 0,
+    glowScale: 0.5, // Resolution of the glow render relative to the screen
+    godRays: [0.15, 0.9], // Ray strength far from and touching the light source
+    godRayDensity: 0.9, // How far towards the source each ray reaches (0 - 1)
+    godRayDecay: 0.94,
+    chromaticAberration: [0.001, 0.008], // Edge offset far and near, in screen widths
+    exposure: 1,
+    vignetteOffset: 1,
+    vignetteDarkness: 1.1,
+    fadeColor: 0xffffff
+};
+
+// Keep stored pass switches sane: known passes, booleans only
+export function sanitizePostPasses(passes = {}) {
+    const clean = { ...DEFAULT_POST_PROCESSING.passes };
+    POST_PASSES.forEach(name => {
+        if (typeof passes[name] === 'boolean') clean[name] = passes[name];
+    });
+    return clean;
+}
+
+const fullscreenVertexShader = /* glsl */`
+    varying vec2 vUv;
+
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+// Adds the glow render on top of the scene
+const BloomMixShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        tGlow: { value: null }
+    },
+    vertexShader: fullscreenVertexShader,
+    fragmentShader: /* glsl */`
+        uniform sampler2D tDiffuse;
+        uniform sampler2D tGlow;
+        varying vec2 vUv;
+
+        void main() {
+            vec4 color = texture2D(tDiffuse, vUv);
+            gl_FragColor = vec4(color.rgb + texture2D(tGlow, vUv).rgb, color.a);
+        }
+    `
+};
+
+// Light scattering: march from each pixel towards the source, gathering glow
+const GodRayShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        tGlow: { value: null },
+        uLightPosition: { value: new THREE.Vector2(0.5, 0.5) },
+        uStrength: { value: 0 },
+        uDensity: { value: 0.9 },
+        uDecay: { value: 0.94 }
+    },
+    vertexShader: fullscreenVertexShader,
+    fragmentShader: /* glsl */`
+        #define SAMPLES 40
+
+        uniform sampler2D tDiffuse;
+        uniform sampler2D tGlow;
+        uniform vec2 uLightPosition;
+        uniform float uStrength;
+        uniform float uDensity;
+        uniform float uDecay;
+        varying vec2 vUv;
+
+        void main() {
+            vec4 color = texture2D(tDiffuse, vUv);
+            vec2 rayStep = (vUv - uLightPosition) * uDensity / float(SAMPLES);
+            vec2 uv = vUv;
+            float weight = 1.0;
+            vec3 rays = vec3(0.0);
+            for (int i = 0; i < SAMPLES; i++) {
+                uv -= rayStep;
+                rays += texture2D(tGlow, uv).rgb * weight;
+                weight *= uDecay;
+            }
+            gl_FragColor = vec4(color.rgb + rays * uStrength / float(SAMPLES), color.a);
+        }
+    `
+};
+
+// Red and blue pulled apart towards the edges of the screen
+const ChromaticAberrationShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        uAmount: { value: 0 }
+    },
+    vertexShader: fullscreenVertexShader,
+    fragmentShader: /* glsl */`
+        uniform sampler2D tDiffuse;
+        uniform float uAmount;
+        varying vec2 vUv;
+
+        void main() {
+            vec2 offset = (vUv - 0.5) * uAmount * 2.0;
+            vec4 color = texture2D(tDiffuse, vUv);
+            color.r = texture2D(tDiffuse, vUv + offset).r;
+            color.b = texture2D(tDiffuse, vUv - offset).b;
+            gl_FragColor = color;
+        }
+    `
+};
+
+const FadeShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        uColor: { value: new THREE.Color(0xffffff) },
+        uAmount: { value: 0 }
+    },
+    vertexShader: fullscreenVertexShader,
+    fragmentShader: /* glsl */`
+        uniform sampler2D tDiffuse;
+        uniform vec3 uColor;
+        uniform float uAmount;
+        varying vec2 vUv;
+
+        void main() {
+            vec4 color = texture2D(tDiffuse, vUv);
+            gl_FragColor = vec4(mix(color.rgb, uColor, uAmount), color.a);
+        }
+    `
+};
+
+// Whether a material hides the glow behind it: it writes depth and is solid
+// wherever it draws
+const occludesGlow = material => material.depthWrite && (!material.transparent || material.alphaTest > 0);
+
+export class PostProcessing {
+    constructor(renderer, scene, camera, params = {}) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.camera = camera;
+        this.options = { ...DEFAULT_POST_PROCESSING, ...params };
+        this.passes = sanitizePostPasses(this.options.passes);
+
+        this.bloomLayer = new THREE.Layers();
+        this.bloomLayer.set(this.options.bloomLayer);
+        this.lightSource = null;
+        this.proximity = 0;
+
+        // What the glow render changed, put back straight after
+        this.occluders = new Map(); // material -> its own colorWrite
+        this.hidden = [];
+
+        const size = renderer.getSize(new THREE.Vector2());
+
+        // The glow: only bloom objects, blurred, never shown by itself
+        this.glowComposer = new EffectComposer(renderer);
+        this.glowComposer.renderToScreen = false;
+        this.glowComposer.setPixelRatio(renderer.getPixelRatio() * this.options.glowScale);
+        this.glowComposer.addPass(new RenderPass(scene, camera));
+        this.bloomPass = new UnrealBloomPass(size, this.options.bloomStrength, this.options.bloomRadius, this.options.bloomThreshold);
+        this.glowComposer.addPass(this.bloomPass);
+        const glow = this.glowComposer.renderTarget2.texture;
+
+        // The picture: the scene, the glow and rays on top in linear HDR,
+        // then tone mapping and the screen-space touches
+        this.composer = new EffectComposer(renderer);
+        this.composer.addPass(new RenderPass(scene, camera));
+
+        this.bloomMixPass = new ShaderPass(BloomMixShader);
+        this.bloomMixPass.uniforms.tGlow.value = glow;
+        this.composer.addPass(this.bloomMixPass);
+
+        this.godRayPass = new ShaderPass(GodRayShader);
+        this.godRayPass.uniforms.tGlow.value = glow;
+        this.godRayPass.uniforms.uDensity.value = this.options.godRayDensity;
+        this.godRayPass.uniforms.uDecay.value = this.options.godRayDecay;
+        this.composer.addPass(this.godRayPass);
+
+        this.chromaticAberrationPass = new ShaderPass(ChromaticAberrationShader);
+        this.composer.addPass(this.chromaticAberrationPass);
+
+        // Tone mapping and the sRGB conversion happen here
+        this.outputPass = new OutputPass();
+        this.composer.addPass(this.outputPass);
+
+        this.vignettePass = new ShaderPass(VignetteShader);
+        this.vignettePass.uniforms.offset.value = this.options.vignetteOffset;
+        this.vignettePass.uniforms.darkness.value = this.options.vignetteDarkness;
+        this.composer.addPass(this.vignettePass);
+
+        this.fadePass = new ShaderPass(FadeShader);
+        this.fadePass.uniforms.uColor.value.set(this.options.fadeColor);
+        this.composer.addPass(this.fadePass);
+
+        renderer.toneMappingExposure = this.options.exposure;
+        this.applyPasses();
+        this.setFade(0);
+
+        this._vector = new THREE.Vector3();
+    }
+
+    // Make an object (and everything under it) glow
+    addBloom(object) {
+        object.traverse(child => child.layers.enable(this.options.bloomLayer));
+    }
+
+    removeBloom(object) {
+        object.traverse(child => child.layers.disable(this.options.bloomLayer));
+    }
+
+    // Where the god rays come from; null for none
+    setLightSource(object) {
+        this.lightSource = object;
+    }
+
+    // 0 far from the light source to 1 touching it
+    setProximity(value) {
+        this.proximity = THREE.MathUtils.clamp(value, 0, 1);
+    }
+
+    // 0 shows the scene, 1 only the fade color
+    setFade(amount, color) {
+        if (color !== undefined) {
+            this.fadePass.uniforms.uColor.value.set(color);
+        }
+        this.fadePass.uniforms.uAmount.value = THREE.MathUtils.clamp(amount, 0, 1);
+        this.fadePass.enabled = amount > 0;
+    }
+
+    setEnabled(name, enabled) {
+        if (!POST_PASSES.includes(name)) {
+            throw new Error(`Unknown post-processing pass "${name}"`);
+        }
+        this.passes[name] = Boolean(enabled);
+        this.applyPasses();
+    }
+
+    isEnabled(name) {
+        return Boolean(this.passes[name]);
+    }
+
+    toggle(name) {
+        this.setEnabled(name, !this.isEnabled(name));
+        return this.isEnabled(name);
+    }
+
+    getPasses() {
+        return { ...this.passes };
+    }
+
+    applyPasses() {
+        this.bloomMixPass.enabled = this.passes.bloom;
+        this.godRayPass.enabled = this.passes.godRays;
+        this.chromaticAberrationPass.enabled = this.passes.chromaticAberration;
+        this.vignettePass.enabled = this.passes.vignette;
+        this.renderer.toneMapping = this.passes.toneMapping ? THREE.ACESFilmicToneMapping : THREE.NoToneMapping;
+    }
+
+    setSize(width, height) {
+        this.glowComposer.setSize(width, height);
+        this.composer.setSize(width, height);
+    }
+
+    // Ray strength and the source's spot on screen, fading as it leaves the
+    // view and gone once it is behind the camera
+    updateRays() {
+        const [far, near] = this.options.godRays;
+        let strength = 0;
+
+        if (this.lightSource?.visible) {
+            const position = this._vector.setFromMatrixPosition(this.lightSource.matrixWorld).project(this.camera);
+            if (position.z < 1) {
+                const outside = Math.max(Math.abs(position.x), Math.abs(position.y));
+                const onScreen = THREE.MathUtils.clamp(1.5 - outside, 0, 1);
+                strength = THREE.MathUtils.lerp(far, near, this.proximity) * onScreen;
+                this.godRayPass.uniforms.uLightPosition.value.set(position.x * 0.5 + 0.5, position.y * 0.5 + 0.5);
+            }
+        }
+        this.godRayPass.uniforms.uStrength.value = strength;
+    }
+
+    // Draw the bloom objects alone. Other solid meshes and sprites - opaque
+    // or alpha-tested, like petals and the tree impostors - keep their own
+    // materials (and with them the grass and wind vertex patches) but write
+    // depth only, so they hide the glow exactly where they stand.
+    renderGlow(delta) {
+        this.scene.traverseVisible(object => {
+            if (object.layers.test(this.bloomLayer)) return;
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            if ((object.isMesh || object.isSprite) && materials.every(occludesGlow)) {
+                materials.forEach(material => {
+                    if (!this.occluders.has(material)) {
+                        this.occluders.set(material, material.colorWrite);
+                        material.colorWrite = false;
+                    }
+                });
+            } else if (object.isMesh || object.isPoints || object.isLine || object.isSprite) {
+                this.hidden.push(object);
+            }
+        });
+        // Hidden after the walk, so their children are still visited
+        this.hidden.forEach(object => {
+            object.visible = false;
+        });
+
+        // The shadow maps from the main render are good enough for depth
+        const shadowAutoUpdate = this.renderer.shadowMap.autoUpdate;
+        this.renderer.shadowMap.autoUpdate = false;
+        this.glowComposer.render(delta);
+        this.renderer.shadowMap.autoUpdate = shadowAutoUpdate;
+
+        this.occluders.forEach((colorWrite, material) => {
+            material.colorWrite = colorWrite;
+        });
+        this.occluders.clear();
+        this.hidden.forEach(object => {
+            object.visible = true;
+        });
+        this.hidden.length = 0;
+    }
+
+    render(delta) {
+        if (this.passes.godRays) {
+            this.updateRays();
+        }
+        if (this.passes.chromaticAberration) {
+            const [edge, close] = this.options.chromaticAberration;
+            this.chromaticAberrationPass.uniforms.uAmount.value = THREE.MathUtils.lerp(edge, close, this.proximity);
+        }
+        if (this.passes.bloom || this.passes.godRays) {
+            this.renderGlow(delta);
+        }
+        this.composer.render(delta);
+    }
+
+    dispose() {
+        this.glowComposer.dispose();
+        this.composer.dispose();
+        this.bloomPass.dispose();
+        this.renderer.toneMapping = THREE.NoToneMapping;
+    }
+}
@@ -0,0 +1,66 @@
+// random.js - Seedable pseudo-random number generator for reproducible worlds
+
+// Turn any seed (number or string) into an unsigned 32-bit integer
+export function hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+
+    const text = String(seed);
+
+    // Purely numeric strings (e.g. from ?seed=42) behave like the number itself
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+
+    // FNV-1a hash for arbitrary strings
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Pick a fresh seed when none was requested
+export function randomSeed() {
+    return Math.floor(Math.random() * 0xffffffff);
+}
+
+// Mulberry32 generator - small, fast and good enough for world generation
+export class SeededRandom {
+    constructor(seed = randomSeed()) {
+        this.seed = hashSeed(seed);
+        this.state = this.seed;
+    }
+
+    // Float in [0, 1), drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [min, max]
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    // Random element of an array
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    // Independent generator derived from this seed, so adding draws to one
+    // subsystem doesn't reshuffle another
+    fork(label) {
+        return new SeededRandom(`${this.seed}:${label}`);
+    }
+}
@@ -0,0 +1,219 @@
+// reverb.js - Reverb presets and loaded impulse responses, crossfaded between
+// two convolvers so a change of space never clicks
+import * as THREE from 'three';
+
+// Generated rooms. `decay` is the time to fall 60 dB, `damping` the cutoff
+// (Hz) the tail darkens to, `width` 0 for mono to 1 for fully decorrelated
+// stereo.
+export const REVERB_PRESETS = {
+    open: { decay: 2, preDelay: 0, damping: 8000, width: 1 },
+    forest: { decay: 1.4, preDelay: 0.012, damping: 3500, width: 0.9 },
+    cave: { decay: 3.5, preDelay: 0.025, damping: 2200, width: 0.6 },
+    cathedral: { decay: 6, preDelay: 0.045, damping: 5000, width: 1 },
+    void: { decay: 10, preDelay: 0.12, damping: 1200, width: 1 }
+};
+
+export const DEFAULT_REVERB = {
+    preset: 'open',
+    fade: 2, // Crossfade seconds
+    checkInterval: 0.5, // Seconds between location checks
+    energy: 0.12 // Impulse energy per channel, in seconds - keeps presets equally loud
+};
+
+// Build a stereo impulse response: decaying noise that darkens as it fades
+export function createImpulseResponse(context, preset, energy = DEFAULT_REVERB.energy) {
+    const sampleRate = context.sampleRate;
+    const preDelay = Math.floor(preset.preDelay * sampleRate);
+    const length = preDelay + Math.floor(preset.decay * sampleRate);
+    const buffer = context.createBuffer(2, length, sampleRate);
+    const left = buffer.getChannelData(0);
+    const right = buffer.getChannelData(1);
+
+    const brightCutoff = Math.min(12000, sampleRate * 0.45);
+    const filtered = [0, 0];
+    let total = 0;
+
+    for (let i = preDelay; i < length; i++) {
+        const t = (i - preDelay) / sampleRate;
+        const amplitude = Math.pow(10, -3 * t / preset.decay); // -60 dB at `decay`
+
+        // Mid/side noise: width scales how different the two sides are
+        const mid = Math.random() * 2 - 1;
+        const side = (Math.random() * 2 - 1) * preset.width;
+
+        // One-pole low-pass sliding from bright to the damping cutoff
+        const cutoff = THREE.MathUtils.lerp(brightCutoff, preset.damping, Math.min(1, t / preset.decay));
+        const coefficient = 1 - Math.exp(-2 * Math.PI * cutoff / sampleRate);
+        filtered[0] += coefficient * (mid + side - filtered[0]);
+        filtered[1] += coefficient * (mid - side - filtered[1]);
+
+        left[i] = filtered[0] * amplitude;
+        right[i] = filtered[1] * amplitude;
+        total += left[i] * left[i] + right[i] * right[i];
+    }
+
+    const scale = Math.sqrt((energy * sampleRate * 2) / (total || 1));
+    for (let i = preDelay; i < length; i++) {
+        left[i] *= scale;
+        right[i] *= scale;
+    }
+    return buffer;
+}
+
+export class ReverbController {
+    constructor(context, params = {}) {
+        this.context = context;
+        this.options = { ...DEFAULT_REVERB, ...params };
+        this.presets = { ...REVERB_PRESETS };
+        this.buffers = new Map(); // preset name -> AudioBuffer
+
+        this.input = context.createGain();
+        this.output = context.createGain();
+
+        // Two convolver slots; the idle one takes the next space and fades in
+        this.slots = [0, 1].map(() => {
+            const gain = context.createGain();
+            gain.gain.value = 0;
+            gain.connect(this.output);
+            return { convolver: null, gain };
+        });
+        this.active = 0;
+        this.current = null;
+
+        // What asks for a space: the story node first, then the location
+        this.storyPreset = null;
+        this.zones = [];
+        this.checkTimer = 0;
+
+        this.setPreset(this.options.preset, 0);
+    }
+
+    // Impulse response for a preset, generated once
+    getBuffer(name) {
+        if (!this.hasPreset(name)) {
+            throw new Error(`Unknown reverb preset "${name}"`);
+        }
+        if (!this.buffers.has(name)) {
+            this.buffers.set(name, createImpulseResponse(this.context, this.presets[name], this.options.energy));
+        }
+        return this.buffers.get(name);
+    }
+
+    hasPreset(name) {
+        return Object.hasOwn(this.presets, name);
+    }
+
+    // Crossfade to a preset
+    setPreset(name, fade = this.options.fade) {
+        if (name === this.current) return;
+        const buffer = this.getBuffer(name);
+        const now = this.context.currentTime;
+
+        const outgoing = this.slots[this.active];
+        this.active = 1 - this.active;
+        const incoming = this.slots[this.active];
+
+        // A fresh convolver each time - some browsers won't take a second
+        // buffer. The old one is cut from the input too, or it would keep
+        // convolving unheard.
+        if (incoming.convolver) {
+            this.input.disconnect(incoming.convolver);
+            incoming.convolver.disconnect();
+        }
+        incoming.convolver = this.context.createConvolver();
+        incoming.convolver.buffer = buffer;
+        this.input.connect(incoming.convolver);
+        incoming.convolver.connect(incoming.gain);
+
+        // Glide the new space in and the old one out
+        [[incoming.gain.gain, 1], [outgoing.gain.gain, 0]].forEach(([param, target]) => {
+            param.cancelScheduledValues(now);
+            param.setValueAtTime(param.value, now);
+            if (fade > 0) {
+                param.setTargetAtTime(target, now, fade / 3);
+            } else {
+                param.setValueAtTime(target, now);
+            }
+        });
+
+        this.current = name;
+    }
+
+    // Register a recorded impulse response as a preset. `source` is a url, a
+    // File/Blob or an ArrayBuffer of a WAV (or anything the browser decodes).
+    async loadImpulse(name, source) {
+        let data = source;
+        if (typeof source === 'string') {
+            const response = await fetch(source);
+            if (!response.ok) {
+                throw new Error(`Could not load impulse response "${source}": HTTP ${response.status}`);
+            }
+            data = await response.arrayBuffer();
+        } else if (source instanceof Blob) {
+            data = await source.arrayBuffer();
+        }
+
+        const buffer = await this.context.decodeAudioData(data);
+        this.presets[name] = { impulse: true };
+        this.buffers.set(name, buffer);
+
+        // Reloading the space in use swaps it in straight away
+        if (this.current === name) {
+            this.current = null;
+            this.setPreset(name);
+        }
+        return buffer;
+    }
+
+    // The space used where neither the story nor a zone asks for one
+    setDefaultPreset(name) {
+        if (!this.hasPreset(name)) {
+            throw new Error(`Unknown reverb preset "${name}"`);
+        }
+        this.options.preset = name;
+        this.checkTimer = 0;
+    }
+
+    // The story node's space, or null to go back to the location's
+    setStoryPreset(name) {
+        if (name && !this.hasPreset(name)) {
+            console.warn(`Unknown reverb preset "${name}"; keeping the location's`);
+            name = null;
+        }
+        this.storyPreset = name ?? null;
+        this.checkTimer = 0; // Apply on the next update
+    }
+
+    // A place with its own space: { preset, x, z, radius } or
+    // { preset, test: position => boolean }. Earlier zones win.
+    addZone(zone) {
+        this.zones.push(zone);
+        return zone;
+    }
+
+    removeZone(zone) {
+        this.zones = this.zones.filter(candidate => candidate !== zone);
+    }
+
+    getZonePreset(position) {
+        const zone = this.zones.find(candidate => candidate.test
+            ? candidate.test(position)
+            : Math.hypot(position.x - candidate.x, position.z - candidate.z) < candidate.radius);
+        return zone?.preset ?? null;
+    }
+
+    update(delta, position) {
+        this.checkTimer -= delta;
+        if (this.checkTimer > 0) return;
+        this.checkTimer = this.options.checkInterval;
+
+        const preset = this.storyPreset ?? this.getZonePreset(position) ?? this.options.preset;
+        this.setPreset(preset);
+    }
+
+    dispose() {
+        this.input.disconnect();
+        this.output.disconnect();
+        this.slots.forEach(slot => slot.convolver?.disconnect());
+    }
+}
@@ -0,0 +1,123 @@
+// save.js - Versioned save games in localStorage, migrated forward on load
+
+export const SAVE_VERSION = 2;
+
+// Upgrade steps keyed by the version they upgrade from. When the save shape
+// (or the story data it points into) changes, bump SAVE_VERSION and add a
+// step here that turns a version N save into a version N + 1 one.
+export const SAVE_MIGRATIONS = {
+    // 2: the lone volume became the master level of the mixer settings
+    1: save => {
+        const { volume, ...settings } = save.settings ?? {};
+        return {
+            ...save,
+            version: 2,
+            settings: volume === undefined ? settings : { ...settings, audio: { master: volume } }
+        };
+    }
+};
+
+// A fresh save, filled in by the game as it plays
+export function createSave(seed) {
+    return {
+        version: SAVE_VERSION,
+        savedAt: null,
+        seed,
+        player: null, // { position: [x, y, z], quaternion: [x, y, z, w] }
+        story: null, // StoryRunner.getState()
+        completed: false,
+        // { audio: mixer levels (see DEFAULT_MIX), graphics: post-processing
+        //   passes on or off, shadows: { quality, orbShadows } }
+        settings: {}
+    };
+}
+
+// Bring an old save up to SAVE_VERSION. Returns null for saves from a newer
+// build than this one or with a gap in the migration chain.
+export function migrateSave(save, migrations = SAVE_MIGRATIONS) {
+    let current = save;
+    while (current.version < SAVE_VERSION) {
+        const step = migrations[current.version];
+        if (!step) {
+            console.warn(`No migration from save version ${current.version}; starting fresh`);
+            return null;
+        }
+        current = step(current);
+    }
+
+    if (current.version > SAVE_VERSION) {
+        console.warn(`Save version ${current.version} is newer than this build (${SAVE_VERSION}); starting fresh`);
+        return null;
+    }
+    return current;
+}
+
+export class SaveGame {
+    constructor(key = 'mirage-of-light:save', storage = null) {
+        this.key = key;
+
+        // localStorage can be missing or throw (privacy modes, sandboxed frames)
+        try {
+            this.storage = storage ?? window.localStorage;
+        } catch {
+            this.storage = null;
+        }
+    }
+
+    // The stored save brought up to date, or null if there is none usable
+    load() {
+        if (!this.storage) return null;
+
+        let raw;
+        try {
+            raw = this.storage.getItem(this.key);
+        } catch (error) {
+            console.warn('Could not read the save:', error);
+            return null;
+        }
+        if (!raw) return null;
+
+        let save;
+        try {
+            save = JSON.parse(raw);
+        } catch (error) {
+            console.warn('Ignoring an unreadable save:', error);
+            return null;
+        }
+
+        if (!save || typeof save !== 'object' || !Number.isInteger(save.version)) {
+            console.warn('Ignoring a save without a version');
+            return null;
+        }
+        return migrateSave(save);
+    }
+
+    write(save) {
+        if (!this.storage) return false;
+
+        try {
+            this.storage.setItem(this.key, JSON.stringify({
+                ...save,
+                version: SAVE_VERSION,
+                savedAt: new Date().toISOString()
+            }));
+            return true;
+        } catch (error) {
+            // Quota exceeded or storage turned off - keep playing without saving
+            console.warn('Could not write the save:', error);
+            return false;
+        }
+    }
+
+    exists() {
+        return this.load() !== null;
+    }
+
+    clear() {
+        try {
+            this.storage?.removeItem(this.key);
+        } catch (error) {
+            console.warn('Could not clear the save:', error);
+        }
+    }
+}
@@ -0,0 +1,211 @@
+// scatter.js - Terrain-aware placement of scenery using Poisson-disk spacing and biome rules
+import * as THREE from 'three';
+import { Noise } from './noise.js';
+
+// Biome definitions. Each layer is tried in order at every candidate point;
+// the first whose rules pass (and whose density roll succeeds) claims it.
+//   radius   - footprint kept clear of other objects
+//   density  - chance a suitable candidate point is used (0 to 1)
+//   height   - allowed world height range of the ground
+//   slope    - allowed ground slope range in degrees
+//   distance - allowed distance range from the world origin
+//   size     - object size range handed to the factory
+//   align    - how far the object tilts to follow the slope (0 upright, 1 flush)
+//   species  - tree species to pick from (see TREE_SPECIES in trees.js)
+export const BIOMES = {
+    meadow: {
+        layers: [
+            { type: 'tree', radius: 2.5, density: 0.04, distance: [12, Infinity], slope: [0, 20], size: [2, 3], align: 0.1, species: ['broadleaf', 'broadleaf', 'broadleaf', 'light'] },
+            { type: 'rock', radius: 1.2, density: 0.03, distance: [6, Infinity], size: [0.4, 0.9], align: 1 },
+            { type: 'mushroom', radius: 0.5, density: 0.05, distance: [4, Infinity], slope: [0, 25], size: [0.3, 0.8], align: 0.6 },
+            { type: 'flower', radius: 0.4, density: 0.1, slope: [0, 30], align: 0.5 }
+        ]
+    },
+    forestEdge: {
+        layers: [
+            { type: 'tree', radius: 2.2, density: 0.45, distance: [12, Infinity], slope: [0, 28], size: [2, 3.5], align: 0.1, species: ['conifer', 'conifer', 'broadleaf'] },
+            { type: 'mushroom', radius: 0.5, density: 0.2, slope: [0, 30], size: [0.3, 0.8], align: 0.6 },
+            { type: 'rock', radius: 1.2, density: 0.05, size: [0.5, 1.2], align: 1 },
+            { type: 'flower', radius: 0.4, density: 0.08, slope: [0, 25], align: 0.5 }
+        ]
+    },
+    rockyHills: {
+        layers: [
+            { type: 'rock', radius: 1.6, density: 0.35, size: [0.6, 1.6], align: 1 },
+            { type: 'tree', radius: 2.5, density: 0.05, slope: [0, 30], size: [1.8, 2.6], align: 0.15, species: ['dead', 'dead', 'conifer'] },
+            { type: 'flower', radius: 0.4, density: 0.03, slope: [0, 20], align: 0.5 }
+        ]
+    }
+};
+
+// Which biome covers a point - first matching entry wins. Same keys as the
+// layer rules, plus variation: a slow 0-1 noise field that breaks up borders.
+export const BIOME_MAP = [
+    { biome: 'rockyHills', height: [1, Infinity] },
+    { biome: 'rockyHills', slope: [30, 90] },
+    { biome: 'forestEdge', distance: [18, Infinity], variation: [0.45, 1] },
+    { biome: 'meadow' }
+];
+
+const inRange = (value, range) => !range || (value >= range[0] && value <= range[1]);
+
+// Bridson's Poisson-disk sampling: points in a rectangle, none closer than
+// minDistance to each other
+export function poissonDisk(random, minX, minZ, width, depth, minDistance, maxAttempts = 30) {
+    const cellSize = minDistance / Math.SQRT2;
+    const columns = Math.ceil(width / cellSize);
+    const rows = Math.ceil(depth / cellSize);
+    const grid = new Int32Array(columns * rows).fill(-1);
+    const points = [];
+    const active = [];
+
+    const cellOf = (x, z) => [
+        Math.min(columns - 1, Math.floor((x - minX) / cellSize)),
+        Math.min(rows - 1, Math.floor((z - minZ) / cellSize))
+    ];
+
+    const insert = (x, z) => {
+        const [col, row] = cellOf(x, z);
+        grid[row * columns + col] = points.length;
+        points.push({ x, z });
+        active.push(points.length - 1);
+    };
+
+    const isFree = (x, z) => {
+        const [col, row] = cellOf(x, z);
+        for (let r = Math.max(0, row - 2); r <= Math.min(rows - 1, row + 2); r++) {
+            for (let c = Math.max(0, col - 2); c <= Math.min(columns - 1, col + 2); c++) {
+                const index = grid[r * columns + c];
+                if (index === -1) continue;
+                const dx = points[index].x - x;
+                const dz = points[index].z - z;
+                if (dx * dx + dz * dz < minDistance * minDistance) return false;
+            }
+        }
+        return true;
+    };
+
+    insert(minX + random.next() * width, minZ + random.next() * depth);
+
+    while (active.length > 0) {
+        const activeIndex = Math.floor(random.next() * active.length);
+        const origin = points[active[activeIndex]];
+        let found = false;
+
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            const angle = random.next() * Math.PI * 2;
+            const distance = minDistance * (1 + random.next());
+            const x = origin.x + Math.cos(angle) * distance;
+            const z = origin.z + Math.sin(angle) * distance;
+
+            if (x < minX || x >= minX + width || z < minZ || z >= minZ + depth) continue;
+            if (!isFree(x, z)) continue;
+
+            insert(x, z);
+            found = true;
+            break;
+        }
+
+        if (!found) {
+            active.splice(activeIndex, 1);
+        }
+    }
+
+    return points;
+}
+
+export class VegetationScatter {
+    constructor(environment, biomes = BIOMES, biomeMap = BIOME_MAP) {
+        this.environment = environment;
+        this.biomes = biomes;
+        this.biomeMap = biomeMap;
+        this.variationNoise = new Noise(environment.random.fork('biomes'));
+
+        // Candidate spacing is set by the smallest footprint of any layer
+        this.minRadius = Infinity;
+        Object.values(biomes).forEach(biome => {
+            biome.layers.forEach(layer => {
+                this.minRadius = Math.min(this.minRadius, layer.radius);
+            });
+        });
+    }
+
+    // Ground properties the rules are written against
+    sampleSite(x, z) {
+        const normal = this.environment.getNormalAt(x, z, new THREE.Vector3());
+        return {
+            x,
+            z,
+            height: this.environment.getHeightAt(x, z),
+            normal,
+            slope: THREE.MathUtils.radToDeg(Math.acos(THREE.MathUtils.clamp(normal.y, -1, 1))),
+            distance: Math.sqrt(x * x + z * z),
+            variation: this.variationNoise.fbm(x * 0.02, z * 0.02, { octaves: 2 }) * 0.5 + 0.5
+        };
+    }
+
+    matches(rules, site) {
+        return inRange(site.height, rules.height) &&
+            inRange(site.slope, rules.slope) &&
+            inRange(site.distance, rules.distance) &&
+            inRange(site.variation, rules.variation);
+    }
+
+    biomeAt(site) {
+        const entry = this.biomeMap.find(candidate => this.matches(candidate, site));
+        return entry ? entry.biome : null;
+    }
+
+    // Decide what goes where inside a rectangle. Objects keep their whole
+    // footprint inside it, so neighbouring areas never overlap.
+    scatter(random, minX, minZ, width, depth) {
+        const candidates = poissonDisk(random, minX, minZ, width, depth, this.minRadius * 2);
+        const placed = [];
+
+        const overlaps = (x, z, radius) => placed.some(item => {
+            const dx = item.x - x;
+            const dz = item.z - z;
+            const minDistance = item.radius + radius;
+            return dx * dx + dz * dz < minDistance * minDistance;
+        });
+
+        const fits = (x, z, radius) =>
+            x - radius >= minX && x + radius <= minX + width &&
+            z - radius >= minZ && z + radius <= minZ + depth;
+
+        // Visit candidates in random order so no corner of the area fills first
+        const ordered = candidates
+            .map(point => ({ point, roll: random.next() }))
+            .sort((a, b) => a.roll - b.roll);
+
+        for (const { point } of ordered) {
+            const site = this.sampleSite(point.x, point.z);
+            const biomeName = this.biomeAt(site);
+            const biome = biomeName && this.biomes[biomeName];
+            if (!biome) continue;
+
+            for (const layer of biome.layers) {
+                if (!this.matches(layer, site)) continue;
+                if (random.next() >= layer.density) continue;
+                if (!fits(site.x, site.z, layer.radius) || overlaps(site.x, site.z, layer.radius)) continue;
+
+                const size = layer.size ? random.range(layer.size[0], layer.size[1]) : 1;
+                placed.push({
+                    type: layer.type,
+                    biome: biomeName,
+                    x: site.x,
+                    z: site.z,
+                    radius: layer.radius,
+                    size,
+                    normal: site.normal,
+                    align: layer.align ?? 0,
+                    species: layer.species ? random.pick(layer.species) : undefined,
+                    yaw: random.next() * Math.PI * 2
+                });
+                break;
+            }
+        }
+
+        return placed;
+    }
+}
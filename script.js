@@ -1,93 +1,168 @@
 import * as THREE from 'three';
 import { PointerLockControls } from 'three/examples/jsm/controls/PointerLockControls.js';
 import { Environment } from './environment.js'
+import { CharacterController } from './player.js';
+import { StoryRunner, loadStoryScript, fetchStoryScript } from './story.js';
+import { Timeline } from './timeline.js';
+import { ParticleSystem } from './particles.js';
+import { SaveGame, createSave } from './save.js';
+import { InputManager, describeBinding } from './input.js';
+import { BindingsPanel } from './bindings.js';
+import { TouchControls } from './touch.js';
+import { SpatialAudio } from './spatial.js';
+import { GenerativeScore } from './music.js';
+import { AudioMixer, sanitizeMix } from './mixer.js';
+import { Playlist } from './playlist.js';
+import { ReverbController } from './reverb.js';
+import { AudioAnalyzer } from './analysis.js';
+import { PostProcessing, sanitizePostPasses } from './postprocessing.js';
+import { ShadowSystem, sanitizeShadowSettings } from './shadows.js';
+import defaultStoryScript from './stories/mirage.json';
 
 
 // Scene, Camera, Renderer
 const scene = new THREE.Scene();
 const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
 const renderer = new THREE.WebGLRenderer({ antialias: true });
-const environment = new Environment(scene);
+
+// Progress from an earlier visit, if any - its world is rebuilt so the player
+// can continue where they stopped
+const saveGame = new SaveGame();
+const savedGame = saveGame.load();
+
+// World seed - pass ?seed=<number or text> to rebuild a specific world; the
+// settings panel shows the one in use
+const urlParams = new URLSearchParams(window.location.search);
+const environment = new Environment(scene, {
+    seed: urlParams.get('seed') ?? savedGame?.seed ?? undefined,
+    renderer // Used to bake tree impostor textures
+});
+document.getElementById('world-seed').textContent =
+    `Seed ${environment.seed} - reload with ?seed=${environment.seed} to rebuild this world`;
 environment.init();
-environment.createVegetation();
 
 renderer.setSize(window.innerWidth, window.innerHeight);
 document.body.appendChild(renderer.domElement);
 
+// Bloom, god rays, tone mapping and the rest; the player can switch passes
+// off in the settings panel
+let graphicsSettings = sanitizePostPasses(savedGame?.settings?.graphics);
+const postProcessing = new PostProcessing(renderer, scene, camera, { passes: graphicsSettings });
+
 // Web Audio API Setup
 let audioContext;
 let backgroundMusic;
 let analyser;
-let dataArray;
-let convolver; // For reverb effect
-let dryGainNode;
+let audioAnalysis; // Bands, onsets and beat of everything the analyser hears
+let reverb; // Convolution reverb, its space set by the story and location
 let wetGainNode;
-let masterGainNode;
+let mixer; // Player-set levels for master, music, ambience and SFX
+let spatialAudio; // Positions sounds in the world, heard from the camera
+let orbSound; // The music, coming from the orb
+let music; // Generative score following the story; also plays the riser
+let playlist; // The player's own tracks, which replace the default music
+let ambientBuffer = null; // ambient.mp3, when the site has one
+let defaultMusicReady = false; // ambient.mp3 found or ruled out
+let defaultMusicPlaying = false;
 
 // Initialize Audio Context
 function initAudio() {
     // Create audio context
     audioContext = new (window.AudioContext || window.webkitAudioContext)();
 
-    // Create master gain node
-    masterGainNode = audioContext.createGain();
-    masterGainNode.gain.value = 0.7; // Initial volume
-    masterGainNode.connect(audioContext.destination);
-
-    // Create reverb effect
-    dryGainNode = audioContext.createGain();
-    dryGainNode.gain.value = 1;
+    // Buses at the levels from the settings panel
+    mixer = new AudioMixer(audioContext, audioSettings);
 
+    // Reverb sends from every bus, swelled by the story on top of the
+    // player's reverb level
     wetGainNode = audioContext.createGain();
-    wetGainNode.gain.value = 0; // Start with no reverb
+    wetGainNode.gain.value = 1;
 
-    // Create convolver for reverb
-    convolver = audioContext.createConvolver();
+    // Reverb whose space follows the story node and where the player is
+    reverb = new ReverbController(audioContext);
+    reverb.setStoryPreset(story?.getNode()?.reverb ?? null);
+    reverb.addZone({ preset: 'forest', test: isAmongTrees });
 
-    // Create analyzer for visualizations
+    // Create analyzer for visualizations; the world reacts to what it hears
     analyser = audioContext.createAnalyser();
-    analyser.fftSize = 256;
-    const bufferLength = analyser.frequencyBinCount;
-    dataArray = new Uint8Array(bufferLength);
+    audioAnalysis = new AudioAnalyzer(analyser);
+    bindAudioReactions();
 
     // Connect nodes
-    dryGainNode.connect(masterGainNode);
-    wetGainNode.connect(convolver);
-    convolver.connect(masterGainNode);
+    mixer.reverbInput.connect(wetGainNode);
+    wetGainNode.connect(reverb.input);
+    reverb.output.connect(mixer.reverbReturn);
+
+    // World sounds go to the ambience bus unless they say otherwise
+    const ambience = mixer.getBus('ambience');
+    spatialAudio = new SpatialAudio(audioContext, camera, { dry: ambience.input, wet: ambience.send });
+
+    // The music plays from the orb: louder and wetter as the player nears it,
+    // panned with the camera
+    const musicBus = mixer.getBus('music');
+    orbSound = spatialAudio.createSource(orb, {
+        dry: musicBus.input,
+        wet: musicBus.send,
+        refDistance: 3,
+        rolloffFactor: 0.5,
+        reverbNear: 0.8,
+        reverbFar: 0,
+        reverbDistance: 10
+    });
+    analyser.connect(orbSound.input);
+
+    // World objects with sounds of their own start playing now
+    environment.setAudio(spatialAudio);
 
-    // Create impulse response for reverb
-    createImpulseResponse();
+    // The score feeds the analyser like a music file would; the riser is
+    // heard inside the player's head, so it skips the orb's panner
+    music = new GenerativeScore(audioContext, analyser, { riserOutput: mixer.getBus('sfx').input });
+    if (story) {
+        music.setMood(story.getState().node);
+    }
+
+    // Dropped or picked tracks play through the analyser too, so the waves
+    // follow them; files dropped before audio started are decoded now
+    playlist = new Playlist(audioContext, analyser, {
+        onChange: () => {
+            updatePlaylistPanel();
+            if (playlist.isPlaying()) {
+                stopDefaultMusic();
+            } else {
+                playDefaultMusic();
+            }
+        },
+        onError: showNotice
+    });
+    if (pendingTracks.length) {
+        playlist.addFiles(pendingTracks.splice(0));
+    }
 
     // Load and play background music
     loadBackgroundMusic();
 }
 
-// Create impulse response for reverb effect
-function createImpulseResponse() {
-    const sampleRate = audioContext.sampleRate;
-    const length = 2 * sampleRate; // 2 seconds
-    const impulseResponse = audioContext.createBuffer(2, length, sampleRate);
-
-    for (let channel = 0; channel < 2; channel++) {
-        const channelData = impulseResponse.getChannelData(channel);
-
-        for (let i = 0; i < length; i++) {
-            // Exponential decay
-            const decay = Math.pow(0.5, i / (length * 0.25));
-            channelData[i] = (Math.random() * 2 - 1) * decay;
+// Under the canopy: enough trees close by to deaden the space
+function isAmongTrees(position) {
+    let count = 0;
+    for (const object of environment.elements) {
+        if (object.userData.sceneryType === 'tree' &&
+            Math.hypot(object.position.x - position.x, object.position.z - position.z) < 12) {
+            count++;
+            if (count >= 4) return true;
         }
     }
-
-    convolver.buffer = impulseResponse;
+    return false;
 }
 
 // Load background ambient music
 function loadBackgroundMusic() {
     fetch('ambient.mp3')
         .then(response => {
-            if (!response.ok) {
-                // If ambient.mp3 doesn't exist, create oscillator instead
-                createOscillatorMusic();
+            // If ambient.mp3 doesn't exist, play the generative score instead.
+            // Dev servers answer a missing file with index.html, hence the type.
+            const type = response.headers.get('content-type') ?? '';
+            if (!response.ok || !type.startsWith('audio/')) {
                 return null;
             }
             return response.arrayBuffer();
@@ -99,45 +174,38 @@ function loadBackgroundMusic() {
             return null;
         })
         .then(audioBuffer => {
-            if (audioBuffer) {
-                playBackgroundMusic(audioBuffer);
-            }
+            ambientBuffer = audioBuffer;
         })
         .catch(error => {
-            console.error('Error loading audio:', error);
-            createOscillatorMusic();
+            // A real audio file that won't play: fall back to the score, but
+            // say why ambient.mp3 is silent
+            showNotice(`Could not play ambient.mp3: ${error?.message || 'the file could not be decoded'}`);
+        })
+        .finally(() => {
+            defaultMusicReady = true;
+            playDefaultMusic();
         });
 }
 
-// Fallback to oscillator-based ambient sound if no audio file is available
-function createOscillatorMusic() {
-    // Create oscillator nodes for ambient drones
-    const frequencies = [146.83, 196.00, 220.00]; // D3, G3, A3 (peaceful chord)
-
-    frequencies.forEach(freq => {
-        const oscillator = audioContext.createOscillator();
-        oscillator.type = 'sine';
-        oscillator.frequency.value = freq;
-
-        const gainNode = audioContext.createGain();
-        gainNode.gain.value = 0.05; // Very quiet
-
-        oscillator.connect(gainNode);
-        gainNode.connect(analyser);
-        analyser.connect(dryGainNode);
+// ambient.mp3 or the generative score, unless the player's playlist is on
+function playDefaultMusic() {
+    if (!defaultMusicReady || defaultMusicPlaying || playlist.isPlaying()) return;
 
-        oscillator.start();
-    });
+    defaultMusicPlaying = true;
+    if (ambientBuffer) {
+        playBackgroundMusic(ambientBuffer);
+    } else {
+        music.start();
+    }
+}
 
-    // Create a slow LFO for subtle movement
-    const lfo = audioContext.createOscillator();
-    lfo.frequency.value = 0.1; // Very slow modulation
-    const lfoGain = audioContext.createGain();
-    lfoGain.gain.value = 0.03;
+function stopDefaultMusic() {
+    if (!defaultMusicPlaying) return;
 
-    lfo.connect(lfoGain);
-    lfoGain.connect(masterGainNode.gain);
-    lfo.start();
+    defaultMusicPlaying = false;
+    music.stop();
+    backgroundMusic?.stop();
+    backgroundMusic = null;
 }
 
 // Play background music from buffer
@@ -147,7 +215,6 @@ function playBackgroundMusic(audioBuffer) {
     backgroundMusic.loop = true;
 
     backgroundMusic.connect(analyser);
-    analyser.connect(dryGainNode);
 
     backgroundMusic.start(0);
 }
@@ -157,30 +224,113 @@ function playBackgroundMusic(audioBuffer) {
 function updateAudioEffects(proximityFactor) {
     if (!audioContext) return;
 
-    // FIXED: Adjust volume to decrease as you get closer to the orb
-    const volume = 0.7 - (proximityFactor * 0.9);
-    masterGainNode.gain.setTargetAtTime(volume, audioContext.currentTime, 0.1);
+    // The orb hushes as you get closer, against the panner's distance gain;
+    // its reverb send follows distance by itself
+    orbSound.setGain(Math.max(0.1, 1 - (proximityFactor * 0.9)));
 
-    // console.log(volume)
-    // Adjust reverb (wet/dry mix) based on proximity
-    wetGainNode.gain.setTargetAtTime(proximityFactor * 0.8, audioContext.currentTime, 0.1);
-    dryGainNode.gain.setTargetAtTime(1 - (proximityFactor * 0.5), audioContext.currentTime, 0.1);
+    // The score grows busier and brighter on the way in
+    music.setProximity(proximityFactor);
+}
+
+// Let the world move with the music: see AUDIO_SIGNALS for what to bind
+function bindAudioReactions() {
+    audioAnalysis.bind('bass', amplitude => environment.grass.setSwayAmplitude(amplitude), { min: 0.08, max: 0.2 });
+    audioAnalysis.bind(signals => Math.min(1, signals.mid + signals.onset * 0.5), glow => environment.setFlowerGlow(glow), { max: 0.6 });
+    audioAnalysis.bind(signals => Math.min(1, signals.bass + signals.beat * 0.5), scale => {
+        pointLight.intensity = pointLightLevel * scale;
+    }, { min: 0.8, max: 1.5 });
+    audioAnalysis.bind('onset', rate => orbSparks.setRate(rate), { min: 2, max: 40 });
+    audioAnalysis.bind(signals => Math.min(1, signals.treble * 0.6 + signals.beat * 0.4), tint => {
+        environment.sky.tint = tint;
+    }, { max: 0.15, smoothing: 0.2 });
+}
+
+// A faint shimmer around mushrooms - two detuned tones under a slow tremolo
+function createMushroomHum(context, output) {
+    const base = 660 + Math.random() * 220;
+    const tremolo = context.createOscillator();
+    tremolo.frequency.value = 0.2 + Math.random() * 0.3;
+    const tremoloDepth = context.createGain();
+    tremoloDepth.gain.value = 0.01;
+
+    const level = context.createGain();
+    level.gain.value = 0.015;
+    tremolo.connect(tremoloDepth);
+    tremoloDepth.connect(level.gain);
+    level.connect(output);
+
+    const tones = [base, base * 1.005].map(frequency => {
+        const tone = context.createOscillator();
+        tone.type = 'sine';
+        tone.frequency.value = frequency;
+        tone.connect(level);
+        return tone;
+    });
+
+    [tremolo, ...tones].forEach(oscillator => oscillator.start());
+    return {
+        stop: () => {
+            [tremolo, ...tones].forEach(oscillator => oscillator.stop());
+            level.disconnect();
+        }
+    };
 }
 
-// Lighting
-const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
+environment.addScenerySound('mushroom', createMushroomHum, {
+    refDistance: 1,
+    cullDistance: 12,
+    reverbNear: 0.2,
+    reverbFar: 0.6,
+    reverbDistance: 12
+});
+
+// Lighting - intensities the story dims and a restart brings back
+const AMBIENT_INTENSITY = 0.5;
+const POINT_LIGHT_INTENSITY = 1;
+let pointLightLevel = POINT_LIGHT_INTENSITY; // The music pulses the light around this
+
+const ambientLight = new THREE.AmbientLight(0xffffff, AMBIENT_INTENSITY);
 scene.add(ambientLight);
 
-const pointLight = new THREE.PointLight(0xffcc66, 1, 10);
+// Tint the ambient light with the time of day (its intensity stays ours for
+// the story to dim). Pass ?time=<hours> to start at a given time of day
+// (wrapped into 0 - 24), and ?freezeTime to hold it there.
+environment.sky.ambientLight = ambientLight;
+const timeParam = urlParams.get('time');
+const startHour = timeParam?.trim() ? Number(timeParam) : NaN;
+if (Number.isFinite(startHour)) {
+    environment.sky.setTime(startHour);
+} else if (timeParam !== null) {
+    console.warn(`Ignoring ?time=${timeParam}; expected hours such as 6 or 18.5`);
+}
+if (urlParams.has('freezeTime')) {
+    environment.sky.freeze();
+}
+
+// ?weather=clear|windy|rain|storm sets the weather, ?weather=random lets it
+// change by itself
+const weatherParam = urlParams.get('weather');
+if (weatherParam === 'random') {
+    environment.weather.setAutomatic(true);
+} else if (weatherParam && Object.hasOwn(environment.weather.states, weatherParam)) {
+    environment.weather.setWeather(weatherParam, 0);
+} else if (weatherParam) {
+    console.warn(`Ignoring unknown weather "${weatherParam}"`);
+}
+
+const pointLight = new THREE.PointLight(0xffcc66, POINT_LIGHT_INTENSITY, 10);
 pointLight.position.set(0, 3, 0);
 scene.add(pointLight);
 
-// Ground Plane
-const groundGeometry = new THREE.PlaneGeometry(20, 20);
-const groundMaterial = new THREE.MeshStandardMaterial({ color: 0x222222, side: THREE.DoubleSide });
-const ground = new THREE.Mesh(groundGeometry, groundMaterial);
-ground.rotation.x = -Math.PI / 2;
-scene.add(ground);
+// Shadows from the sun or moon, and from the orb's light if the player wants
+// them; both are settings kept with the save
+let shadowSettings = sanitizeShadowSettings(savedGame?.settings?.shadows);
+const shadows = new ShadowSystem(renderer, scene, camera, {
+    ...shadowSettings,
+    sky: environment.sky,
+    pointLight
+});
+environment.setShadows(shadows);
 
 // Glowing Orb (Treasure)
 const orbGeometry = new THREE.SphereGeometry(0.5, 32, 32);
@@ -191,6 +341,7 @@ const orbMaterial = new THREE.MeshStandardMaterial({
 const orb = new THREE.Mesh(orbGeometry, orbMaterial);
 orb.position.set(0, 1, -3); // Position it a bit away from the starting point
 scene.add(orb);
+shadows.track(orb); // Lit by the sun and moon like the rest of the world
 
 // Sound visualization waves around the orb
 const waveCount = 32;
@@ -215,116 +366,135 @@ for (let i = 0; i < waveCount; i++) {
 
 orb.add(waves);
 
-// Particle effect around the orb
-function createOrbParticles() {
-    const particleCount = 100;
-    const particles = new THREE.Group();
-
-    const particleGeometry = new THREE.SphereGeometry(0.03, 8, 8);
-    const particleMaterial = new THREE.MeshBasicMaterial({
-        color: 0xffcc66,
-        transparent: true,
-        opacity: 0.6
-    });
+// Every particle effect shares one pooled system; see PARTICLE_PRESETS
+const particles = new ParticleSystem();
+scene.add(particles.points);
 
-    for (let i = 0; i < particleCount; i++) {
-        const particle = new THREE.Mesh(particleGeometry, particleMaterial.clone());
+// Particle effect around the orb - brightens as the player approaches
+const orbParticles = particles.createEmitter('orbGlow', { attach: orb });
+orbParticles.opacity = 0.6;
 
-        // Random position around the orb
-        const radius = 0.7 + Math.random() * 0.3; // Between 0.7 and 1.0
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.random() * Math.PI;
+// Sparks thrown off the orb, more of them on every onset in the music
+const orbSparks = particles.createEmitter('orbSparks', { attach: orb });
 
-        particle.position.x = radius * Math.sin(phi) * Math.cos(theta);
-        particle.position.y = radius * Math.sin(phi) * Math.sin(theta);
-        particle.position.z = radius * Math.cos(phi);
-
-        // Store original position for animation
-        particle.userData = {
-            originalRadius: radius,
-            theta: theta,
-            phi: phi,
-            speed: 0.5 + Math.random()
-        };
-
-        particles.add(particle);
-    }
-
-    return particles;
+// Everything made of light blooms; god rays stream from the orb
+postProcessing.addBloom(orb);
+postProcessing.addBloom(particles.points);
+if (environment.floatingLights) {
+    postProcessing.addBloom(environment.floatingLights.group);
 }
+postProcessing.setLightSource(orb);
 
-const orbParticles = createOrbParticles();
-orb.add(orbParticles);
-
-// Camera Position
-camera.position.set(0, 2, 5);
+// Camera Position - the controller keeps it standing on the terrain
+const player = new CharacterController(camera, environment);
+player.teleport(0, 5);
 
 // Pointer Lock Controls
 const controls = new PointerLockControls(camera, document.body);
 
 // Movement variables
 const velocity = new THREE.Vector3();
-const direction = new THREE.Vector3();
-let moveForward = false;
-let moveBackward = false;
-let moveLeft = false;
-let moveRight = false;
+const moveInput = new THREE.Vector2();
+const lookInput = new THREE.Vector2();
+const moveOffset = new THREE.Vector3();
+const forwardVector = new THREE.Vector3();
+const rightVector = new THREE.Vector3();
+const lookEuler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+const MOVE_ACCELERATION = 20.0;
+const SPRINT_MULTIPLIER = 1.8;
+const GAMEPAD_LOOK_SPEED = 2.5; // Radians per second at full stick
+
+// Keyboard and gamepad go through named actions; see DEFAULT_BINDINGS
+const input = new InputManager();
+
+// Gamepads and touch screens can't take the pointer, so a game started from
+// one plays with the pointer free, looking with the stick or by dragging
+let freePlaying = false;
+
+function isPlaying() {
+    return controls.isLocked || freePlaying;
+}
+
+// On-screen joystick, drag-to-look and buttons, used when the device is
+// touched; they turn the camera the same way stick look does
+const touchControls = new TouchControls(input, {
+    onLook: (yaw, pitch) => turnCamera(yaw, pitch),
+    onPause: () => input.trigger('pause')
+});
+touchControls.onActivate = () => updateInstructions();
+
+function startFreePlaying() {
+    startPlaying();
+    freePlaying = true;
+    resumeGame();
+}
 
-// Click to start controls and audio
+function startPlaying() {
+    // Starting past the start menu picks up the saved journey, or begins
+    // the one already on screen
+    if (!journeyStarted) {
+        if (resumableSave) {
+            continueJourney(resumableSave);
+        } else {
+            beginJourney();
+        }
+    }
+
+    // Initialize audio on first start (to satisfy browser autoplay policies)
+    if (!audioContext) {
+        initAudio();
+    }
+}
+
+// Click (or tap) to start controls and audio
 document.addEventListener('click', () => {
-    if (!controls.isLocked) {
+    if (isPlaying()) return;
+
+    if (touchControls.active) {
+        startFreePlaying();
+    } else {
+        startPlaying();
         controls.lock();
+    }
+});
 
-        // Initialize audio on first click (to satisfy browser autoplay policies)
-        if (!audioContext) {
-            initAudio();
-        }
+input.on('pause', () => {
+    if (controls.isLocked) {
+        controls.unlock();
+    } else if (freePlaying) {
+        freePlaying = false;
+        pauseGame();
+    } else if (input.gamepadConnected && !bindingsPanel.isOpen()) {
+        startFreePlaying();
     }
 });
 
-// Movement event listeners
-document.addEventListener('keydown', (event) => {
-    switch (event.code) {
-        case 'ArrowUp':
-        case 'KeyW':
-            moveForward = true;
-            break;
-        case 'ArrowLeft':
-        case 'KeyA':
-            moveLeft = true;
-            break;
-        case 'ArrowDown':
-        case 'KeyS':
-            moveBackward = true;
-            break;
-        case 'ArrowRight':
-        case 'KeyD':
-            moveRight = true;
-            break;
+// Interact triggers in the story script, or restarts once the journey is over
+input.on('interact', () => {
+    if (!isPlaying()) return;
+
+    if (restartButton.style.display === 'block') {
+        resetExperience();
+    } else {
+        story?.interact();
     }
 });
 
-document.addEventListener('keyup', (event) => {
-    switch (event.code) {
-        case 'ArrowUp':
-        case 'KeyW':
-            moveForward = false;
-            break;
-        case 'ArrowLeft':
-        case 'KeyA':
-            moveLeft = false;
-            break;
-        case 'ArrowDown':
-        case 'KeyS':
-            moveBackward = false;
-            break;
-        case 'ArrowRight':
-        case 'KeyD':
-            moveRight = false;
-            break;
+input.on('skip', () => {
+    if (isPlaying() && timeline.isActive()) {
+        timeline.skip();
     }
 });
 
+// Turn the camera like PointerLockControls does, for stick look
+function turnCamera(yaw, pitch) {
+    lookEuler.setFromQuaternion(camera.quaternion);
+    lookEuler.y -= yaw;
+    lookEuler.x = THREE.MathUtils.clamp(lookEuler.x + pitch, -Math.PI / 2, Math.PI / 2);
+    camera.quaternion.setFromEuler(lookEuler);
+}
+
 // Instructions overlay
 const instructions = document.createElement('div');
 instructions.style.position = 'absolute';
@@ -333,34 +503,323 @@ instructions.style.width = '100%';
 instructions.style.textAlign = 'center';
 instructions.style.color = '#ffffff';
 instructions.style.fontSize = '18px';
-instructions.innerHTML = 'Click to start<br>WASD / Arrow Keys to move';
 document.body.appendChild(instructions);
 
-controls.addEventListener('lock', () => {
+const instructionsText = document.createElement('div');
+instructions.appendChild(instructionsText);
+
+// Keyboard labels for an action, e.g. "W / ↑"
+function keyLabel(action) {
+    return input.bindings[action]
+        .filter(binding => !/^(Button|Axis)/.test(binding))
+        .map(describeBinding)
+        .join(' / ') || 'unbound';
+}
+
+function padLabel(action) {
+    const binding = input.bindings[action].find(candidate => candidate.startsWith('Button'));
+    return binding ? describeBinding(binding) : 'unbound';
+}
+
+function updateInstructions() {
+    if (touchControls.active) {
+        instructionsText.innerHTML = 'Tap to start<br>Left thumb to move, drag to look<br>✋ to interact';
+        return;
+    }
+
+    instructionsText.innerHTML = [
+        `Click to start, or ${padLabel('pause')} on a gamepad`,
+        `${keyLabel('moveForward')}, ${keyLabel('moveLeft')}, ${keyLabel('moveBackward')}, ${keyLabel('moveRight')} to move, ${keyLabel('sprint')} to sprint`,
+        `${keyLabel('interact')} to interact, ${keyLabel('skip')} to skip, ${keyLabel('pause')} to pause, ${keyLabel('mute')} to mute`
+    ].join('<br>');
+}
+updateInstructions();
+
+const bindingsPanel = new BindingsPanel(input, { onChange: updateInstructions });
+
+const controlsButton = document.createElement('button');
+controlsButton.textContent = 'Controls';
+controlsButton.style.marginTop = '10px';
+controlsButton.style.padding = '6px 14px';
+controlsButton.style.fontSize = '16px';
+controlsButton.style.backgroundColor = '#ffcc66';
+controlsButton.style.border = 'none';
+controlsButton.style.borderRadius = '5px';
+controlsButton.style.cursor = 'pointer';
+controlsButton.addEventListener('click', event => {
+    // Opening the panel shouldn't also start the game
+    event.stopPropagation();
+    bindingsPanel.show();
+});
+instructions.appendChild(controlsButton);
+
+// With a save around, the overlay offers to continue it or start over.
+// Nothing but settings is saved until the player has started. A journey made
+// in another world (?seed= asked for a different one) can't be continued here.
+let journeyStarted = false;
+const resumableSave = savedGame?.player && savedGame.seed === environment.seed ? savedGame : null;
+const startMenu = document.createElement('div');
+startMenu.style.marginTop = '20px';
+
+function createMenuButton(label, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.margin = '0 8px';
+    button.style.padding = '10px 20px';
+    button.style.fontSize = '18px';
+    button.style.backgroundColor = '#ffcc66';
+    button.style.border = 'none';
+    button.style.borderRadius = '5px';
+    button.style.cursor = 'pointer';
+    button.addEventListener('click', onClick);
+    startMenu.appendChild(button);
+    return button;
+}
+
+if (resumableSave) {
+    createMenuButton('Continue', () => continueJourney(resumableSave));
+}
+if (savedGame?.player) {
+    createMenuButton('New journey', startNewJourney);
+    instructions.appendChild(startMenu);
+}
+
+function resumeGame() {
     instructions.style.display = 'none';
+    bindingsPanel.hide();
+    timeline.resume();
+
+    if (touchControls.active && !controls.isLocked) {
+        touchControls.show();
+    }
+}
+
+function pauseGame() {
+    instructions.style.display = 'block';
+    touchControls.hide();
+    timeline.pause();
+    saveProgress();
+}
+
+controls.addEventListener('lock', () => {
+    freePlaying = false;
+    touchControls.hide();
+    resumeGame();
 });
 
 controls.addEventListener('unlock', () => {
-    instructions.style.display = 'block';
+    if (!freePlaying) {
+        pauseGame();
+    }
 });
 
 // Clock for consistent movement speed
 const clock = new THREE.Clock();
 
+// Scripted sequences run on the game clock and hold until the player starts
+// and whenever the game is paused; resumeGame lets them go. The skip action
+// jumps to the end of whatever is playing.
+const timeline = new Timeline({ paused: true });
+
+
+// Audio settings panel - levels apply to the mixer once audio has started
+// and are kept with the save
+let audioSettings = sanitizeMix(savedGame?.settings?.audio);
+const settingsToggle = document.getElementById('settings-toggle');
+const settingsPanel = document.getElementById('settings-panel');
+const settingsInputs = settingsPanel ? [...settingsPanel.querySelectorAll('[data-mix]')] : [];
+
+function setAudioSetting(key, value) {
+    audioSettings = sanitizeMix({ ...audioSettings, [key]: value });
+    mixer?.set(key, audioSettings[key]);
+    syncSettingsPanel();
+}
 
-const volumeSlider = document.getElementById('volume-slider');
-if (volumeSlider) {
-    volumeSlider.addEventListener('input', () => {
-        if (audioContext && masterGainNode) {
-            masterGainNode.gain.value = volumeSlider.value;
+function syncSettingsPanel() {
+    settingsInputs.forEach(element => {
+        const value = audioSettings[element.dataset.mix];
+        if (element.type === 'checkbox') {
+            element.checked = value;
+        } else {
+            element.value = value;
         }
     });
 }
+
+settingsInputs.forEach(element => {
+    element.addEventListener('input', () => {
+        const key = element.dataset.mix;
+        setAudioSetting(key, element.type === 'checkbox' ? element.checked : Number(element.value));
+    });
+    element.addEventListener('change', () => saveProgress());
+});
+syncSettingsPanel();
+
+if (settingsToggle && settingsPanel) {
+    settingsToggle.addEventListener('click', () => {
+        settingsPanel.hidden = !settingsPanel.hidden;
+        settingsToggle.setAttribute('aria-expanded', String(!settingsPanel.hidden));
+    });
+    // Adjusting settings shouldn't start the game
+    [settingsToggle, settingsPanel].forEach(element => {
+        element.addEventListener('click', event => event.stopPropagation());
+    });
+}
+
+// Post-processing passes, also kept with the save
+const postInputs = settingsPanel ? [...settingsPanel.querySelectorAll('[data-post]')] : [];
+postInputs.forEach(element => {
+    element.checked = postProcessing.isEnabled(element.dataset.post);
+    element.addEventListener('change', () => {
+        postProcessing.setEnabled(element.dataset.post, element.checked);
+        graphicsSettings = postProcessing.getPasses();
+        saveProgress();
+    });
+});
+
+// Shadow quality and the orb light's shadow
+const shadowQualityInput = document.getElementById('shadow-quality');
+const orbShadowsInput = document.getElementById('orb-shadows');
+if (shadowQualityInput && orbShadowsInput) {
+    shadowQualityInput.value = shadowSettings.quality;
+    orbShadowsInput.checked = shadowSettings.orbShadows;
+    shadowQualityInput.addEventListener('change', () => {
+        shadowSettings = sanitizeShadowSettings({ ...shadowSettings, quality: shadowQualityInput.value });
+        shadows.setQuality(shadowSettings.quality);
+        saveProgress();
+    });
+    orbShadowsInput.addEventListener('change', () => {
+        shadowSettings = sanitizeShadowSettings({ ...shadowSettings, orbShadows: orbShadowsInput.checked });
+        shadows.setOrbShadows(shadowSettings.orbShadows);
+        saveProgress();
+    });
+}
+
+input.on('mute', () => {
+    setAudioSetting('muted', !audioSettings.muted);
+    saveProgress();
+});
+
+// Playlist - tracks picked with the file input or dropped on the page
+const musicFiles = document.getElementById('music-files');
+const playlistList = document.getElementById('playlist');
+let pendingTracks = []; // Files given before audio started
+
+function addTracks(files) {
+    if (!files.length) return;
+
+    if (playlist) {
+        playlist.addFiles(files);
+    } else {
+        pendingTracks.push(...files);
+        updatePlaylistPanel();
+    }
+}
+
+function updatePlaylistPanel() {
+    if (!playlistList) return;
+    playlistList.textContent = '';
+
+    if (!playlist) {
+        // Decoding waits for the audio context
+        pendingTracks.forEach(file => {
+            const item = document.createElement('li');
+            item.textContent = `${file.name} (starts with the audio)`;
+            playlistList.appendChild(item);
+        });
+        return;
+    }
+
+    playlist.tracks.forEach((track, index) => {
+        const item = document.createElement('li');
+        item.textContent = track.name;
+        item.title = 'Play';
+        item.classList.toggle('playing', index === playlist.current);
+        item.addEventListener('click', () => playlist.play(index));
+
+        const remove = document.createElement('button');
+        remove.textContent = '×';
+        remove.title = 'Remove';
+        remove.addEventListener('click', event => {
+            event.stopPropagation();
+            playlist.remove(index);
+        });
+        item.appendChild(remove);
+        playlistList.appendChild(item);
+    });
+}
+
+// A recorded impulse response replaces the open-air space; story nodes and
+// the forest still bring their own
+const impulseFile = document.getElementById('impulse-file');
+impulseFile?.addEventListener('change', () => {
+    const file = impulseFile.files[0];
+    impulseFile.value = '';
+    if (!file) return;
+
+    if (!reverb) {
+        showNotice('Start the experience before loading an impulse response');
+        return;
+    }
+    reverb.loadImpulse('custom', file)
+        .then(() => reverb.setDefaultPreset('custom'))
+        .catch(error => showNotice(`Could not use "${file.name}" as a reverb: ${error?.message || 'the file could not be decoded'}`));
+});
+
+musicFiles?.addEventListener('change', () => {
+    addTracks([...musicFiles.files]);
+    musicFiles.value = '';
+});
+
+settingsPanel?.querySelectorAll('[data-playlist]').forEach(button => {
+    button.addEventListener('click', () => playlist?.[button.dataset.playlist]());
+});
+
+// Dropping files anywhere would otherwise open them in the tab
+document.addEventListener('dragover', event => {
+    if (event.dataTransfer?.types.includes('Files')) {
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+    }
+});
+document.addEventListener('drop', event => {
+    if (!event.dataTransfer?.files.length) return;
+    event.preventDefault();
+    addTracks([...event.dataTransfer.files]);
+});
+
+// Short-lived message for problems the player should know about
+const notice = document.createElement('div');
+notice.style.position = 'absolute';
+notice.style.bottom = '80px';
+notice.style.left = '50%';
+notice.style.transform = 'translateX(-50%)';
+notice.style.color = '#ffffff';
+notice.style.fontSize = '16px';
+notice.style.padding = '10px 16px';
+notice.style.backgroundColor = 'rgba(140, 30, 30, 0.85)';
+notice.style.borderRadius = '5px';
+notice.style.display = 'none';
+notice.style.pointerEvents = 'none';
+document.body.appendChild(notice);
+let noticeTimer = null;
+
+function showNotice(message) {
+    console.error(message);
+    notice.textContent = message;
+    notice.style.display = 'block';
+    clearTimeout(noticeTimer);
+    noticeTimer = setTimeout(() => {
+        notice.style.display = 'none';
+    }, 6000);
+}
 // Handle Window Resize
 window.addEventListener('resize', () => {
     renderer.setSize(window.innerWidth, window.innerHeight);
+    postProcessing.setSize(window.innerWidth, window.innerHeight);
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
+    shadows.updateFrustums();
 });
 
 // Story and UI Elements
@@ -380,366 +839,272 @@ storyContainer.style.display = 'none';
 storyContainer.style.pointerEvents = 'none'; // Don't block controls
 document.body.appendChild(storyContainer);
 
-// Story progression states
-const storyStates = {
-    INTRO: 'intro',
-    APPROACHING: 'approaching',
-    VERY_CLOSE: 'very_close',
-    TOUCH: 'touch',
-    TRANSFORMATION: 'transformation',
-    EPILOGUE: 'epilogue'
-};
-
-let currentStoryState = null;
-let storyTimeout = null;
 let hasCompletedGame = false;
+let story = null;
 
-// Story text for each state
-const storyText = {
-    [storyStates.INTRO]: "You find yourself in a strange, dark place. In the distance, a pulsing light beckons to you...",
-    [storyStates.APPROACHING]: "As you draw closer, the light seems to respond to your presence. You hear faint whispers that you can't quite understand...",
-    [storyStates.VERY_CLOSE]: "The light pulses faster now. The whispers grow clearer: \"Seeker... find... truth...\" The orb's energy surrounds you.",
-    [storyStates.TOUCH]: "You reach out to touch the light. It responds to your touch, fracturing into countless shards of brilliant light!",
-    [storyStates.TRANSFORMATION]: "The fragments of light swirl around you, entering your body. You feel yourself becoming one with the light...",
-    [storyStates.EPILOGUE]: "As your consciousness expands, you understand: you were the light all along, separated from yourself. You are whole again."
-};
-
-// Show story text and clear after a delay
-function showStoryText(state, duration = 3000) {
-    // If we're already showing this state, don't restart the timer
-    if (currentStoryState === state) return;
-
-    // Clear any existing timeout
-    if (storyTimeout) {
-        clearTimeout(storyTimeout);
-    }
-
-    currentStoryState = state;
-    storyContainer.textContent = storyText[state];
+// Show story text, hidden again when the runner says its time is up
+function showStoryText(text) {
+    storyContainer.textContent = text;
     storyContainer.style.display = 'block';
-
-    // Set timeout to hide text after duration
-    storyTimeout = setTimeout(() => {
-        storyContainer.style.display = 'none';
-        currentStoryState = null;
-    }, duration);
 }
 
-// Update story based on proximity to orb
-function updateStory(distanceToOrb) {
-    if (hasCompletedGame) return;
+function hideStoryText() {
+    storyContainer.style.display = 'none';
+}
 
-    // Don't attempt to show a new story state if one is currently being displayed
-    // Unless we're reaching the transformation trigger point
-    if (currentStoryState !== null && distanceToOrb >= 1.5) {
-        return;
+const restartButton = document.createElement('button');
+restartButton.textContent = 'Experience Again';
+restartButton.style.position = 'absolute';
+restartButton.style.top = '50%';
+restartButton.style.left = '50%';
+restartButton.style.transform = 'translate(-50%, -50%)';
+restartButton.style.padding = '15px 30px';
+restartButton.style.fontSize = '20px';
+restartButton.style.backgroundColor = '#ffcc66';
+restartButton.style.border = 'none';
+restartButton.style.borderRadius = '5px';
+restartButton.style.cursor = 'pointer';
+restartButton.style.display = 'none';
+restartButton.addEventListener('click', () => {
+    resetExperience();
+    // Touch play carries on without the pointer
+    if (!touchControls.active) {
+        controls.lock();
     }
+});
+document.body.appendChild(restartButton);
 
-    // Transformation sequence trigger (highest priority)
-    if (distanceToOrb < 1.5) {
-        // Only trigger transformation if we haven't yet started the sequence
-        if (currentStoryState !== storyStates.TOUCH &&
-            currentStoryState !== storyStates.TRANSFORMATION &&
-            currentStoryState !== storyStates.EPILOGUE) {
-            triggerTransformation();
-        }
-    }
-    // Very close to orb
-    else if (distanceToOrb < 4) {
-        // Only show "very close" if we aren't already showing it
-        if (currentStoryState !== storyStates.VERY_CLOSE) {
-            showStoryText(storyStates.VERY_CLOSE);
-        }
-    }
-    // Approaching orb
-    else if (distanceToOrb < 6) {
-        // Only show "approaching" if we aren't already showing it
-        if (currentStoryState !== storyStates.APPROACHING) {
-            showStoryText(storyStates.APPROACHING);
-        }
-    }
-    // Intro (only if no other story state is active)
-    else if (distanceToOrb < 10) {
-        if (currentStoryState === null) {
-            showStoryText(storyStates.INTRO);
+// The orb shatters, the light enters the player and the world fades to white.
+// The story script follows along through the flags set here.
+function triggerTransformation() {
+    if (hasCompletedGame) return;
+    hasCompletedGame = true;
+
+    timeline.sequence([
+        {
+            track: 'particles',
+            at: 0,
+            start: () => {
+                particles.createEmitter('shatter', { position: orb.position });
+                orb.visible = false;
+            }
+        },
+        {
+            track: 'text',
+            at: 3,
+            start: () => story?.setFlag('transformationStarted')
+        },
+        {
+            track: 'particles',
+            at: 3,
+            start: () => particles.createEmitter('transformation', { attach: camera })
+        },
+        {
+            // Dim the lights for dramatic effect
+            track: 'lights',
+            at: 3,
+            start: () => {
+                ambientLight.intensity = 0.1;
+                pointLightLevel = 0.2;
+                pointLight.intensity = pointLightLevel;
+            }
+        },
+        {
+            // Swell the reverb under a rising tone
+            track: 'audio',
+            at: 3,
+            start: () => {
+                if (wetGainNode) {
+                    wetGainNode.gain.setTargetAtTime(2.0, audioContext.currentTime, 0.5);
+                }
+                music?.playRiser(5);
+            }
+        },
+        {
+            track: 'text',
+            at: 8,
+            start: () => story?.setFlag('fadeStarted')
+        },
+        {
+            // Fade to white in the post-processing, so it runs on the game
+            // clock and pauses with the game
+            track: 'overlay',
+            at: 8,
+            duration: 8,
+            update: progress => postProcessing.setFade(progress),
+            reset: () => postProcessing.setFade(0)
+        },
+        {
+            track: 'overlay',
+            at: 16,
+            start: () => {
+                restartButton.style.display = 'block';
+            },
+            reset: () => {
+                restartButton.style.display = 'none';
+            }
         }
-    }
+    ]);
 }
 
-// Create particle effect for orb shattering
-function createShatterEffect(position) {
-    const particleCount = 500;
-    const particles = new THREE.Group();
-    // Tag this group to identify it in the update loop
-    particles.userData = { isShatterEffect: true };
-    scene.add(particles);
+// Put everything back the way a fresh page load would have it, reusing the
+// generated world, the renderer and the audio context
+function resetExperience() {
+    timeline.clear();
 
-    const particleGeometry = new THREE.SphereGeometry(0.03, 8, 8);
-    const particleMaterial = new THREE.MeshBasicMaterial({
-        color: 0xffffff,
-        transparent: true,
-        opacity: 1
-    });
+    // Shatter and transformation effects go; the orb's glow and sparks stay
+    particles.clear([orbParticles, orbSparks]);
 
-    for (let i = 0; i < particleCount; i++) {
-        const particle = new THREE.Mesh(particleGeometry, particleMaterial.clone());
+    orb.visible = true;
+    orb.scale.set(1, 1, 1);
+    orbMaterial.emissiveIntensity = 2;
+    orbMaterial.emissive.setHex(0xffcc66);
 
-        // Start at orb position
-        particle.position.copy(position);
+    ambientLight.intensity = AMBIENT_INTENSITY;
+    pointLightLevel = POINT_LIGHT_INTENSITY;
+    pointLight.intensity = pointLightLevel;
 
-        // Random velocity direction
-        const velocity = new THREE.Vector3(
-            (Math.random() - 0.5) * 3,
-            (Math.random() - 0.5) * 3,
-            (Math.random() - 0.5) * 3
-        );
+    if (audioContext) {
+        music.stopRiser();
+        wetGainNode.gain.cancelScheduledValues(audioContext.currentTime);
+        wetGainNode.gain.setValueAtTime(1, audioContext.currentTime);
+        orbSound.setGain(1, 0.01);
+    }
 
-        particle.userData = {
-            velocity: velocity,
-            life: 2 + Math.random() * 2 // Random lifetime between 2-4 seconds
-        };
+    postProcessing.setFade(0);
+    restartButton.style.display = 'none';
+    hideStoryText();
 
-        particles.add(particle);
-    }
+    velocity.set(0, 0, 0);
+    camera.rotation.set(0, 0, 0);
+    player.teleport(0, 5);
 
-    return particles;
+    hasCompletedGame = false;
+    story?.start();
 }
 
-// Player transformation effect
-function createPlayerTransformationEffect() {
-    const particleCount = 300;
-    const particles = new THREE.Group();
-    // Tag this group to identify it in the update loop
-    particles.userData = { isTransformationEffect: true };
-    scene.add(particles);
+// Write the journey so far. Until the player has chosen to continue or start
+// over, only settings are written so the old save isn't overwritten.
+function saveProgress() {
+    const settings = { audio: audioSettings, graphics: graphicsSettings, shadows: shadowSettings };
 
-    const particleGeometry = new THREE.SphereGeometry(0.02, 8, 8);
-    const particleMaterial = new THREE.MeshBasicMaterial({
-        color: 0xffcc66,
-        transparent: true,
-        opacity: 0.8
-    });
-
-    for (let i = 0; i < particleCount; i++) {
-        const particle = new THREE.Mesh(particleGeometry, particleMaterial.clone());
-
-        // Random position around the camera
-        const radius = 0.3 + Math.random() * 0.2;
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.random() * Math.PI;
-
-        particle.position.set(
-            camera.position.x + radius * Math.sin(phi) * Math.cos(theta),
-            camera.position.y + radius * Math.sin(phi) * Math.sin(theta),
-            camera.position.z + radius * Math.cos(phi)
-        );
-
-        // Store properties for animation
-        particle.userData = {
-            originalRadius: radius,
-            theta: theta,
-            phi: phi,
-            phase: Math.random() * Math.PI * 2,
-            speed: 0.5 + Math.random()
-        };
-
-        particles.add(particle);
+    if (!journeyStarted) {
+        saveGame.write({ ...savedGame, settings });
+        return;
     }
 
-    return particles;
+    saveGame.write({
+        ...createSave(environment.seed),
+        player: {
+            position: camera.position.toArray(),
+            quaternion: camera.quaternion.toArray()
+        },
+        story: story?.getState() ?? null,
+        completed: hasCompletedGame,
+        settings
+    });
 }
 
-function triggerTransformation() {
-    if (hasCompletedGame) return;
-    hasCompletedGame = true;
-
-    // Show touch message
-    showStoryText(storyStates.TOUCH, 3000);
-
-    // Create shattering effect
-    const shatterParticles = createShatterEffect(orb.position);
-
-    // Hide original orb
-    orb.visible = false;
-
-    // After short delay, show transformation message and effect
-    setTimeout(() => {
-        showStoryText(storyStates.TRANSFORMATION, 5000);
-
-        // Create player transformation effect
-        const transformationParticles = createPlayerTransformationEffect();
-
-        // Dim the lights for dramatic effect
-        ambientLight.intensity = 0.1;
-        pointLight.intensity = 0.2;
-
-        // Increase reverb to maximum
-        if (wetGainNode) {
-            wetGainNode.gain.setTargetAtTime(1.0, audioContext.currentTime, 0.5);
-        }
-
-        // Play a transformation sound
-        if (audioContext) {
-            const transitionOscillator = audioContext.createOscillator();
-            transitionOscillator.type = 'sine';
-            transitionOscillator.frequency.setValueAtTime(220, audioContext.currentTime);
-            transitionOscillator.frequency.exponentialRampToValueAtTime(880, audioContext.currentTime + 3);
+// From here on the journey is saved as the story moves along
+function beginJourney() {
+    journeyStarted = true;
+    startMenu.remove();
+    story?.on('node', saveProgress);
+}
 
-            const transitionGain = audioContext.createGain();
-            transitionGain.gain.setValueAtTime(0, audioContext.currentTime);
-            transitionGain.gain.linearRampToValueAtTime(0.2, audioContext.currentTime + 0.1);
-            transitionGain.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + 5);
+// Put the player and the story back where the save left them
+let pendingStoryState = null;
 
-            transitionOscillator.connect(transitionGain);
-            transitionGain.connect(masterGainNode);
+function continueJourney(save) {
+    beginJourney();
 
-            transitionOscillator.start();
-            transitionOscillator.stop(audioContext.currentTime + 5);
-        }
+    if (save.player) {
+        const [x, , z] = save.player.position;
+        player.teleport(x, z);
+        camera.quaternion.fromArray(save.player.quaternion);
+    }
 
-        // After transformation, show epilogue
-        setTimeout(() => {
-            showStoryText(storyStates.EPILOGUE, 8000);
-
-            // Begin fading to white
-            const fadeOverlay = document.createElement('div');
-            fadeOverlay.style.position = 'absolute';
-            fadeOverlay.style.top = '0';
-            fadeOverlay.style.left = '0';
-            fadeOverlay.style.width = '100%';
-            fadeOverlay.style.height = '100%';
-            fadeOverlay.style.backgroundColor = 'white';
-            fadeOverlay.style.opacity = '0';
-            fadeOverlay.style.transition = 'opacity 8s';
-            fadeOverlay.style.pointerEvents = 'none';
-            document.body.appendChild(fadeOverlay);
-
-            // Begin fade to white
-            setTimeout(() => {
-                fadeOverlay.style.opacity = '1';
-            }, 100);
-
-            // Show restart button after fade completes
-            setTimeout(() => {
-                const restartButton = document.createElement('button');
-                restartButton.textContent = 'Experience Again';
-                restartButton.style.position = 'absolute';
-                restartButton.style.top = '50%';
-                restartButton.style.left = '50%';
-                restartButton.style.transform = 'translate(-50%, -50%)';
-                restartButton.style.padding = '15px 30px';
-                restartButton.style.fontSize = '20px';
-                restartButton.style.backgroundColor = '#ffcc66';
-                restartButton.style.border = 'none';
-                restartButton.style.borderRadius = '5px';
-                restartButton.style.cursor = 'pointer';
-
-                restartButton.addEventListener('click', () => {
-                    window.location.reload();
-                });
-
-                document.body.appendChild(restartButton);
-            }, 8000);
-        }, 5000);
-    }, 3000);
-}
-
-// Update functions for particle effects
-function updateShatterParticles(particles, delta) {
-    let particlesToRemove = [];
-
-    particles.children.forEach(particle => {
-        const userData = particle.userData;
-
-        // Update position based on velocity
-        particle.position.x += userData.velocity.x * delta;
-        particle.position.y += userData.velocity.y * delta;
-        particle.position.z += userData.velocity.z * delta;
-
-        // Add gravity effect
-        userData.velocity.y -= 2 * delta;
-
-        // Reduce life and fade out
-        userData.life -= delta;
-        particle.material.opacity = Math.max(0, userData.life / 3);
-
-        // Mark particles with no life left for removal
-        if (userData.life <= 0) {
-            particlesToRemove.push(particle);
+    // The script may still be loading; startStory picks the state up then
+    if (story) {
+        if (!story.restore(save.story)) {
+            story.start();
         }
-    });
-
-    // Remove dead particles
-    particlesToRemove.forEach(particle => {
-        particles.remove(particle);
-    });
+    } else {
+        pendingStoryState = save.story;
+    }
 
-    // Remove the group when all particles are gone
-    if (particles.children.length === 0) {
-        scene.remove(particles);
+    // A finished journey goes straight to its ending
+    if (save.completed) {
+        triggerTransformation();
+        timeline.skip();
     }
+    saveProgress();
 }
 
-function updateTransformationParticles(particles, delta) {
-    particles.children.forEach(particle => {
-        const userData = particle.userData;
-
-        // Swirl around the camera, gradually expanding outward
-        userData.phase += 0.5 * delta * userData.speed;
-        const expandFactor = 1 + (Date.now() % 10000) / 10000; // Expand over time
-
-        const radius = userData.originalRadius * expandFactor;
-
-        // Calculate new position relative to camera
-        const newX = radius * Math.sin(userData.phi) * Math.cos(userData.phase);
-        const newY = radius * Math.sin(userData.phi) * Math.sin(userData.phase);
-        const newZ = radius * Math.cos(userData.phi);
-
-        // Update position (in camera's local space, then convert to world space)
-        const cameraDirection = new THREE.Vector3(0, 0, -1);
-        cameraDirection.applyQuaternion(camera.quaternion);
-
-        const cameraRight = new THREE.Vector3(1, 0, 0);
-        cameraRight.applyQuaternion(camera.quaternion);
-
-        const cameraUp = new THREE.Vector3(0, 1, 0);
-        cameraUp.applyQuaternion(camera.quaternion);
-
-        particle.position.copy(camera.position)
-            .add(cameraRight.multiplyScalar(newX))
-            .add(cameraUp.multiplyScalar(newY))
-            .add(cameraDirection.multiplyScalar(newZ));
-
-        // Fade out particles as they expand
-        particle.material.opacity = Math.max(0, 1 - (expandFactor - 1) / 2);
-    });
+function startNewJourney() {
+    beginJourney();
+    resetExperience();
+    saveProgress();
 }
 
+// Autosave every so often while playing, and when the page goes away
+setInterval(() => {
+    if (isPlaying()) saveProgress();
+}, 15000);
+window.addEventListener('pagehide', saveProgress);
+
 // Update the main animation loop
 function animate() {
     requestAnimationFrame(animate);
 
     const delta = clock.getDelta();
 
+    // Gamepad state and action presses
+    input.update();
+
+    // Scripted time stands still while the game is paused
+    timeline.update(delta);
+    const gameDelta = timeline.paused ? 0 : delta;
+
     // Handle movement (your existing movement code)
-    if (controls.isLocked) {
+    if (isPlaying()) {
+        // Stick look (the mouse turns the camera through the controls)
+        input.getLook(lookInput);
+        if (lookInput.lengthSq() > 0) {
+            turnCamera(lookInput.x * GAMEPAD_LOOK_SPEED * delta, lookInput.y * GAMEPAD_LOOK_SPEED * delta);
+        }
+
         // Slow down velocity
         velocity.x -= velocity.x * 10.0 * delta;
         velocity.z -= velocity.z * 10.0 * delta;
 
-        // Set direction
-        direction.z = Number(moveForward) - Number(moveBackward);
-        direction.x = Number(moveRight) - Number(moveLeft);
-        direction.normalize();
+        // Analog direction, x right and y forward - a half-pushed stick
+        // walks at half speed, keys push all the way
+        input.getMove(moveInput);
+        const acceleration = MOVE_ACCELERATION * (input.isDown('sprint') ? SPRINT_MULTIPLIER : 1);
 
         // Move in the direction we're facing
-        if (moveForward || moveBackward) velocity.z -= direction.z * 20.0 * delta;
-        if (moveLeft || moveRight) velocity.x -= direction.x * 20.0 * delta;
+        velocity.z -= moveInput.y * acceleration * delta;
+        velocity.x -= moveInput.x * acceleration * delta;
+
+        // Turn the velocity into a world-space step along the ground plane
+        camera.getWorldDirection(forwardVector);
+        forwardVector.y = 0;
+        forwardVector.normalize();
+        rightVector.crossVectors(forwardVector, camera.up);
 
-        controls.moveRight(-velocity.x * delta);
-        controls.moveForward(-velocity.z * delta);
+        moveOffset.set(0, 0, 0)
+            .addScaledVector(rightVector, -velocity.x * delta)
+            .addScaledVector(forwardVector, -velocity.z * delta);
+
+        // Follow the terrain, slide along obstacles and stay inside the world
+        player.move(moveOffset, delta);
     }
 
+    // Listener follows the camera, sources follow their objects
+    spatialAudio?.update();
+    reverb?.update(delta, camera.position);
+
     // Orb animation
     if (orb.visible) {
         orb.rotation.y += 0.01;
@@ -748,8 +1113,8 @@ function animate() {
     // Calculate distance to orb for proximity effects
     const distanceToOrb = camera.position.distanceTo(orb.position);
 
-    // Update story based on proximity
-    updateStory(distanceToOrb);
+    // Advance the story script (distance, time and flag triggers)
+    story?.update(gameDelta);
 
     // Your existing orb proximity effects
     const maxDistance = 10; // Maximum distance for effects
@@ -769,9 +1134,10 @@ function animate() {
         orb.scale.set(pulseScale, pulseScale, pulseScale);
 
         // Make particles more visible
-        orbParticles.children.forEach(particle => {
-            particle.material.opacity = 0.6 + (proximityFactor * 0.4);
-        });
+        orbParticles.opacity = 0.6 + (proximityFactor * 0.4);
+
+        // Stronger god rays and a shimmer at the edges of sight
+        postProcessing.setProximity(proximityFactor);
 
         // Update audio effects based on proximity
         if (audioContext) {
@@ -783,9 +1149,8 @@ function animate() {
         orbMaterial.emissive.setHex(0xffcc66);
         orb.scale.set(1, 1, 1);
 
-        orbParticles.children.forEach(particle => {
-            particle.material.opacity = 0.6;
-        });
+        orbParticles.opacity = 0.6;
+        postProcessing.setProximity(0);
 
         // Reset audio effects
         if (audioContext) {
@@ -793,14 +1158,21 @@ function animate() {
         }
     }
 
-    // Update audio visualization (your existing code)
-    if (analyser && dataArray) {
-        analyser.getByteFrequencyData(dataArray);
+    // Fireflies gather around the orb as the player approaches
+    if (environment.floatingLights) {
+        const gather = orb.visible ? Math.max(0, 1 - distanceToOrb / maxDistance) : 0;
+        environment.floatingLights.setAttractor(orb.position, gather);
+    }
+
+    // Update audio visualization and everything bound to the analysis
+    if (audioAnalysis) {
+        audioAnalysis.update(delta);
+        const spectrum = audioAnalysis.spectrum;
 
         // Update wave visualizers based on audio data
         waves.children.forEach((wave, index) => {
-            const dataIndex = Math.floor(index / waveCount * dataArray.length);
-            const audioValue = dataArray[dataIndex] / 255; // Normalize to 0-1
+            const dataIndex = Math.floor(index / waveCount * spectrum.length);
+            const audioValue = spectrum[dataIndex] / 255; // Normalize to 0-1
 
             // Scale waves based on audio amplitude
             const baseScale = wave.userData.initialScale;
@@ -815,68 +1187,46 @@ function animate() {
         });
     }
 
-    // Animate orb particles (your existing code)
-    if (orb.visible) {
-        orbParticles.children.forEach(particle => {
-            const userData = particle.userData;
-
-            // Rotate around orb center
-            userData.theta += 0.01 * userData.speed;
+    // Orb glow, shatter and transformation particles
+    particles.update(gameDelta);
 
-            // Move in and out slightly
-            const pulseFactor = Math.sin(Date.now() * 0.001 * userData.speed) * 0.1;
-            const radius = userData.originalRadius * (1 + pulseFactor);
+    // Update environment elements (grass sway runs on the GPU) and stream
+    // terrain chunks around the player
+    environment.update(delta, camera.position);
 
-            particle.position.x = radius * Math.sin(userData.phi) * Math.cos(userData.theta);
-            particle.position.y = radius * Math.sin(userData.phi) * Math.sin(userData.theta);
-            particle.position.z = radius * Math.cos(userData.phi);
-        });
-    }
+    // Cascades follow the view and whichever of the sun and moon is up
+    shadows.update();
 
-    // // Update any active effect particles
-    // scene.children.forEach(child => {
-    //     // Check for shatter particles
-    //     if (child.userData && child.userData.isShatterEffect) {
-    //         updateShatterParticles(child, delta);
-    //     }
-    //
-    //     // Check for transformation particles
-    //     if (child.userData && child.userData.isTransformationEffect) {
-    //         updateTransformationParticles(child, delta);
-    //     }
-    // });
-    // In your animate function, update this part:
-    // Update any active effect particles
-    scene.children.forEach(child => {
-        // Check for shatter particles
-        if (child.userData && child.userData.isShatterEffect) {
-            updateShatterParticles(child, delta);
-        }
+    postProcessing.render(delta);
+}
 
-        // Check for transformation particles
-        if (child.userData && child.userData.isTransformationEffect) {
-            updateTransformationParticles(child, delta);
-        }
-    });
-    // Update environment elements
-    if (environment.grassPatches) {
-        environment.grassPatches.forEach(grassPatch => {
-            grassPatch.children.forEach(blade => {
-                const userData = blade.userData;
-                const time = Date.now() * 0.001;
-                blade.rotation.x = userData.originalHeight * Math.sin(time * userData.waveSpeed + userData.phaseOffset) * userData.waveAmplitude;
-            });
-        });
+animate()
+// Initialize story - ?story=<url> plays another script instead of the built-in one
+function startStory(script) {
+    story = new StoryRunner(script, { viewer: camera });
+    story.registerObject('orb', orb);
+    story.on('text', showStoryText);
+    story.on('hideText', hideStoryText);
+    story.on('transformation', triggerTransformation);
+    if (journeyStarted) {
+        story.on('node', saveProgress);
     }
+    story.on('node', name => music?.setMood(name));
+    story.on('node', (name, node) => reverb?.setStoryPreset(node.reverb ?? null));
 
-
-    renderer.render(scene, camera);
+    if (!(pendingStoryState && story.restore(pendingStoryState))) {
+        story.start();
+    }
+    pendingStoryState = null;
 }
 
-animate()
-// Initialize story
-setTimeout(() => {
-    if (currentStoryState === null) {
-        showStoryText(storyStates.INTRO);
-    }
-}, 2000);
\ No newline at end of file
+if (urlParams.has('story')) {
+    fetchStoryScript(urlParams.get('story'))
+        .then(startStory)
+        .catch(error => {
+            console.error(error);
+            showStoryText(error.message);
+        });
+} else {
+    startStory(loadStoryScript(defaultStoryScript, 'stories/mirage.json'));
+}
@@ -0,0 +1,238 @@
+// shadows.js - Cascaded shadows from the sun or moon, the orb light's own
+// shadow and quality tiers
+//
+// The sky keeps driving its lights; whichever of the sun and moon is brighter
+// hands its color and intensity to the cascade lights and goes dark itself,
+// so nothing is lit twice. Every lit material has to learn about the
+// cascades, or it would be lit once by each of them - the Environment tracks
+// its objects here as it creates and removes them, and anything else lit by
+// the sun or moon is tracked by whoever makes it.
+import * as THREE from 'three';
+import { CSM } from 'three/examples/jsm/csm/CSM.js';
+
+// mapSize      - resolution of each cascade's shadow map
+// cascades     - number of shadow maps, nearest the most detailed
+// maxFar       - distance shadows reach (they fade out before it)
+// filter       - shadow map type: how the edges are softened
+// pointMapSize - resolution of the orb light's cube shadow
+export const SHADOW_QUALITY = {
+    off: null,
+    low: { mapSize: 1024, cascades: 2, maxFar: 50, filter: THREE.PCFShadowMap, pointMapSize: 256 },
+    medium: { mapSize: 2048, cascades: 3, maxFar: 90, filter: THREE.PCFSoftShadowMap, pointMapSize: 512 },
+    high: { mapSize: 4096, cascades: 4, maxFar: 140, filter: THREE.PCFSoftShadowMap, pointMapSize: 1024 }
+};
+
+export const DEFAULT_SHADOWS = {
+    quality: 'medium',
+    orbShadows: false, // The point light's shadow costs six extra renders a frame
+    sky: null, // DayNightCycle whose sun and moon cast the cascades
+    pointLight: null, // The orb's light, when it may cast
+    bias: -0.0003,
+    normalBias: 0.03,
+    lightMargin: 60 // How far behind the view casters are still caught
+};
+
+// Keep stored shadow settings sane
+export function sanitizeShadowSettings(settings = {}) {
+    return {
+        quality: settings.quality in SHADOW_QUALITY ? settings.quality : DEFAULT_SHADOWS.quality,
+        orbShadows: typeof settings.orbShadows === 'boolean' ? settings.orbShadows : DEFAULT_SHADOWS.orbShadows
+    };
+}
+
+export class ShadowSystem {
+    constructor(renderer, scene, camera, params = {}) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.camera = camera;
+        this.options = { ...DEFAULT_SHADOWS, ...params };
+
+        this.csm = null;
+        this.quality = null;
+        this.orbShadows = this.options.orbShadows;
+
+        // Lit materials: material -> { count, onBeforeCompile } where
+        // onBeforeCompile is the material's own patch, run before the cascades'
+        this.materials = new Map();
+
+        renderer.shadowMap.enabled = false;
+        this.setQuality(this.options.quality);
+    }
+
+    // Switch to a tier of SHADOW_QUALITY
+    setQuality(name) {
+        if (!(name in SHADOW_QUALITY)) {
+            throw new Error(`Unknown shadow quality "${name}"`);
+        }
+        if (name === this.quality) return;
+        this.quality = name;
+        const tier = SHADOW_QUALITY[name];
+
+        this.removeCascades();
+        this.renderer.shadowMap.enabled = Boolean(tier);
+        if (tier) {
+            this.renderer.shadowMap.type = tier.filter;
+            this.createCascades(tier);
+        }
+        this.materials.forEach((entry, material) => this.setupMaterial(material));
+        this.applyPointLight();
+
+        // Filtering and shadow counts are compiled into every lit material
+        this.scene.traverse(object => {
+            if (!object.material) return;
+            (Array.isArray(object.material) ? object.material : [object.material]).forEach(material => {
+                material.needsUpdate = true;
+            });
+        });
+    }
+
+    setOrbShadows(enabled) {
+        this.orbShadows = Boolean(enabled);
+        this.applyPointLight();
+    }
+
+    createCascades(tier) {
+        this.csm = new CSM({
+            camera: this.camera,
+            parent: this.scene,
+            cascades: tier.cascades,
+            maxFar: tier.maxFar,
+            shadowMapSize: tier.mapSize,
+            shadowBias: this.options.bias,
+            lightMargin: this.options.lightMargin
+        });
+        this.csm.fade = true;
+        this.csm.lights.forEach(light => {
+            light.shadow.normalBias = this.options.normalBias;
+        });
+        this.csm.updateFrustums();
+    }
+
+    removeCascades() {
+        if (!this.csm) return;
+
+        this.csm.remove();
+        this.csm.lights.forEach(light => light.shadow.dispose());
+        this.csm = null;
+
+        // The sky lights shine by themselves again
+        const sky = this.options.sky;
+        if (sky) {
+            sky.sunLight.visible = true;
+            sky.moonLight.visible = true;
+        }
+    }
+
+    applyPointLight() {
+        const light = this.options.pointLight;
+        if (!light) return;
+
+        const tier = SHADOW_QUALITY[this.quality];
+        light.castShadow = Boolean(tier) && this.orbShadows;
+        if (tier && light.shadow.mapSize.x !== tier.pointMapSize) {
+            light.shadow.mapSize.set(tier.pointMapSize, tier.pointMapSize);
+            light.shadow.map?.dispose();
+            light.shadow.map = null;
+        }
+        light.shadow.camera.near = 0.1;
+        light.shadow.camera.far = light.distance || 50;
+        light.shadow.normalBias = this.options.normalBias;
+    }
+
+    // Let the lit meshes under an object see the cascades, whether they
+    // receive shadows or not. Shared materials are counted, so each is only
+    // released by its last user.
+    track(object) {
+        this.forEachLitMaterial(object, material => {
+            const entry = this.materials.get(material);
+            if (entry) {
+                entry.count++;
+                return;
+            }
+            this.materials.set(material, { count: 1, onBeforeCompile: material.onBeforeCompile });
+            this.setupMaterial(material);
+        });
+    }
+
+    untrack(object) {
+        this.forEachLitMaterial(object, material => {
+            const entry = this.materials.get(material);
+            if (!entry || --entry.count > 0) return;
+
+            this.materials.delete(material);
+            this.releaseMaterial(material, entry);
+        });
+    }
+
+    forEachLitMaterial(object, callback) {
+        object.traverse(child => {
+            if (!child.isMesh) return;
+            (Array.isArray(child.material) ? child.material : [child.material])
+                .filter(material => material.isMeshStandardMaterial || material.isMeshLambertMaterial ||
+                    material.isMeshPhongMaterial || material.isMeshToonMaterial)
+                .forEach(callback);
+        });
+    }
+
+    // Chain the cascades' shader patch after the material's own (wind sway,
+    // glow), or take it off again when shadows are off
+    setupMaterial(material) {
+        const entry = this.materials.get(material);
+        this.releaseMaterial(material, entry);
+        if (!this.csm) return;
+
+        this.csm.setupMaterial(material);
+        const cascades = material.onBeforeCompile;
+        material.onBeforeCompile = (shader, renderer) => {
+            entry.onBeforeCompile.call(material, shader, renderer);
+            cascades.call(material, shader, renderer);
+        };
+        material.needsUpdate = true;
+    }
+
+    releaseMaterial(material, entry) {
+        material.onBeforeCompile = entry.onBeforeCompile;
+        if (material.defines) {
+            delete material.defines.USE_CSM;
+            delete material.defines.CSM_CASCADES;
+            delete material.defines.CSM_FADE;
+        }
+        this.csm?.shaders.delete(material);
+        material.needsUpdate = true;
+    }
+
+    // After the camera's projection changes
+    updateFrustums() {
+        this.csm?.updateFrustums();
+    }
+
+    // Follow the brighter sky light and place the cascades around the view
+    update() {
+        if (!this.csm) return;
+
+        const sky = this.options.sky;
+        if (sky) {
+            const useSun = sky.sunLight.intensity >= sky.moonLight.intensity;
+            const caster = useSun ? sky.sunLight : sky.moonLight;
+            sky.sunLight.visible = !useSun;
+            sky.moonLight.visible = useSun;
+
+            this.csm.lightDirection.copy(useSun ? sky.sunDirection : sky.moonDirection).negate();
+            this.csm.lights.forEach(light => {
+                light.color.copy(caster.color);
+                light.intensity = caster.intensity;
+            });
+        }
+        this.csm.update();
+    }
+
+    dispose() {
+        this.materials.forEach((entry, material) => this.releaseMaterial(material, entry));
+        this.materials.clear();
+        this.removeCascades();
+        if (this.options.pointLight) {
+            this.options.pointLight.castShadow = false;
+        }
+        this.renderer.shadowMap.enabled = false;
+    }
+}
@@ -0,0 +1,325 @@
+// sky.js - Time of day: sky dome, sun and moon lights, stars, ambient and fog colors
+import * as THREE from 'three';
+
+// Sky palette keyed by sun elevation (sine of its angle above the horizon).
+// Everything in between is blended, so dawn and dusk come for free.
+const SKY_PALETTE = [
+    { elevation: -1.0, zenith: 0x01020a, horizon: 0x070b18, fog: 0x04060c, ambient: 0x1c2640, sun: 0x000000 },
+    { elevation: -0.15, zenith: 0x060b22, horizon: 0x1c1a34, fog: 0x0c0d1a, ambient: 0x262a48, sun: 0x000000 },
+    { elevation: 0.0, zenith: 0x1f3466, horizon: 0xe07a48, fog: 0x5a4a58, ambient: 0x6a5a6a, sun: 0xff7a3a },
+    { elevation: 0.2, zenith: 0x3366b8, horizon: 0xa9c4e0, fog: 0x9fb4c8, ambient: 0xb8c4d8, sun: 0xffe2b8 },
+    { elevation: 1.0, zenith: 0x2a5cbc, horizon: 0xbad4ee, fog: 0xb0c6dc, ambient: 0xd0d8e8, sun: 0xfff6e8 }
+];
+
+const skyVertexShader = /* glsl */`
+    varying vec3 vDirection;
+
+    void main() {
+        vDirection = position;
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+        gl_Position.z = gl_Position.w; // Always on the far plane
+    }
+`;
+
+const skyFragmentShader = /* glsl */`
+    uniform vec3 uSunDirection;
+    uniform vec3 uMoonDirection;
+    uniform vec3 uZenithColor;
+    uniform vec3 uHorizonColor;
+    uniform vec3 uSunColor;
+    uniform float uNight;
+    varying vec3 vDirection;
+
+    void main() {
+        vec3 direction = normalize(vDirection);
+        float altitude = max(direction.y, 0.0);
+
+        // Thicker atmosphere near the horizon scatters more light
+        vec3 color = mix(uHorizonColor, uZenithColor, pow(altitude, 0.45));
+
+        // Below the horizon fade towards a dim ground haze
+        color = mix(color, uHorizonColor * 0.35, smoothstep(0.0, -0.25, direction.y));
+
+        // Forward scattering glow and the sun disc itself
+        float sunAmount = max(dot(direction, uSunDirection), 0.0);
+        color += uSunColor * (pow(sunAmount, 12.0) * 0.35 + pow(sunAmount, 400.0) * 0.8);
+        color += uSunColor * smoothstep(0.9994, 0.9997, sunAmount) * 4.0;
+
+        // A pale moon on the opposite side
+        float moonAmount = max(dot(direction, uMoonDirection), 0.0);
+        color += vec3(0.75, 0.8, 0.95) * smoothstep(0.9990, 0.9993, moonAmount) * uNight;
+        color += vec3(0.2, 0.25, 0.4) * pow(moonAmount, 60.0) * 0.3 * uNight;
+
+        gl_FragColor = vec4(color, 1.0);
+
+        #include <tonemapping_fragment>
+        #include <colorspace_fragment>
+    }
+`;
+
+export class DayNightCycle {
+    constructor(scene, options = {}) {
+        this.scene = scene;
+
+        this.cycleLength = options.cycleLength ?? 1200; // Real seconds per 24 hours
+        this.time = options.time ?? 21; // Hours, 0 - 24
+        this.frozen = options.frozen ?? false;
+        this.radius = options.radius ?? 450;
+        this.axialTilt = options.axialTilt ?? 0.45; // Keeps the sun off the zenith
+        this.fogNear = options.fogNear ?? 30;
+        this.fogFar = options.fogFar ?? 160;
+
+        this.sunDirection = new THREE.Vector3();
+        this.moonDirection = new THREE.Vector3();
+        this.elevation = 0;
+        this.nightFactor = 0;
+
+        // Set by the weather: cloud cover (0 - 1) and lightning brightness
+        this.overcast = 0;
+        this.flash = 0;
+
+        // Set by the music: a color the sky leans towards, and how far (0 - 1)
+        this.tint = 0;
+        this.tintColor = new THREE.Color(options.tintColor ?? 0xffaa55);
+
+        this.group = new THREE.Group();
+        this.group.name = 'sky';
+        scene.add(this.group);
+
+        this.createDome();
+        this.createStars(options.starCount ?? 2500);
+        this.createLights();
+
+        this.fog = new THREE.Fog(0x000000, this.fogNear, this.fogFar);
+        scene.fog = this.fog;
+
+        // Optional light owned by someone else that should follow the sky tint
+        this.ambientLight = options.ambientLight ?? null;
+
+        this._color = new THREE.Color();
+        this._colorB = new THREE.Color();
+        this._gray = new THREE.Color();
+        this.applyTime();
+    }
+
+    createDome() {
+        this.uniforms = {
+            uSunDirection: { value: this.sunDirection },
+            uMoonDirection: { value: this.moonDirection },
+            uZenithColor: { value: new THREE.Color() },
+            uHorizonColor: { value: new THREE.Color() },
+            uSunColor: { value: new THREE.Color() },
+            uNight: { value: 0 }
+        };
+
+        const geometry = new THREE.SphereGeometry(this.radius, 32, 16);
+        const material = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            vertexShader: skyVertexShader,
+            fragmentShader: skyFragmentShader,
+            side: THREE.BackSide,
+            depthWrite: false
+        });
+
+        this.dome = new THREE.Mesh(geometry, material);
+        this.dome.renderOrder = -1;
+        this.dome.frustumCulled = false;
+        this.group.add(this.dome);
+    }
+
+    createStars(count) {
+        const positions = new Float32Array(count * 3);
+        const colors = new Float32Array(count * 3);
+        const color = new THREE.Color();
+
+        // Fixed pattern (not tied to the world seed) so the night sky is familiar
+        let seed = 1;
+        const random = () => {
+            seed = (seed * 16807) % 2147483647;
+            return seed / 2147483647;
+        };
+
+        for (let i = 0; i < count; i++) {
+            const theta = random() * Math.PI * 2;
+            const y = random() * 2 - 1;
+            const r = Math.sqrt(1 - y * y);
+            const distance = this.radius * 0.95;
+            positions.set([Math.cos(theta) * r * distance, y * distance, Math.sin(theta) * r * distance], i * 3);
+
+            // Mostly white, a few warm and cool stars
+            color.setHSL(random() > 0.5 ? 0.6 : 0.1, random() * 0.4, 0.6 + random() * 0.4);
+            colors.set([color.r, color.g, color.b], i * 3);
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+        const material = new THREE.PointsMaterial({
+            size: 1.6,
+            sizeAttenuation: false,
+            vertexColors: true,
+            transparent: true,
+            opacity: 0,
+            depthWrite: false,
+            fog: false
+        });
+
+        this.stars = new THREE.Points(geometry, material);
+        this.stars.frustumCulled = false;
+        this.group.add(this.stars);
+    }
+
+    createLights() {
+        this.sunLight = new THREE.DirectionalLight(0xffffff, 0);
+        this.moonLight = new THREE.DirectionalLight(0x8899cc, 0);
+        this.skyLight = new THREE.HemisphereLight(0xffffff, 0x223311, 0);
+
+        [this.sunLight, this.moonLight].forEach(light => {
+            this.scene.add(light);
+            this.scene.add(light.target);
+        });
+        this.scene.add(this.skyLight);
+    }
+
+    // Hours on a 24 hour clock
+    setTime(hours) {
+        this.time = ((hours % 24) + 24) % 24;
+        this.applyTime();
+    }
+
+    getTime() {
+        return this.time;
+    }
+
+    freeze(hours) {
+        if (hours !== undefined) {
+            this.setTime(hours);
+        }
+        this.frozen = true;
+    }
+
+    resume() {
+        this.frozen = false;
+    }
+
+    // Real seconds for a full day
+    setCycleLength(seconds) {
+        this.cycleLength = Math.max(1, seconds);
+    }
+
+    isNight() {
+        return this.elevation < -0.05;
+    }
+
+    update(delta, viewerPosition) {
+        if (!this.frozen) {
+            this.time = (this.time + (delta / this.cycleLength) * 24) % 24;
+        }
+        // Weather can change the sky even while the clock stands still
+        this.applyTime();
+
+        // The dome and lights travel with the viewer, so the sky is never reached
+        this.group.position.copy(viewerPosition);
+        this.positionLight(this.sunLight, this.sunDirection, viewerPosition);
+        this.positionLight(this.moonLight, this.moonDirection, viewerPosition);
+    }
+
+    positionLight(light, direction, center) {
+        light.target.position.copy(center);
+        light.position.copy(center).addScaledVector(direction, 100);
+    }
+
+    // Blend two palette keys for the current sun elevation
+    samplePalette(key, target) {
+        const elevation = this.elevation;
+        let upper = SKY_PALETTE.findIndex(entry => entry.elevation >= elevation);
+        if (upper === -1) upper = SKY_PALETTE.length - 1;
+        upper = Math.max(1, upper);
+        const a = SKY_PALETTE[upper - 1];
+        const b = SKY_PALETTE[upper];
+        const t = THREE.MathUtils.clamp((elevation - a.elevation) / (b.elevation - a.elevation), 0, 1);
+
+        return target.set(a[key]).lerp(this._colorB.set(b[key]), t);
+    }
+
+    // Wash a color out towards a darker gray of the same brightness, then add
+    // the lightning flash on top
+    applyWeather(color, darken) {
+        const overcast = this.overcast;
+        if (overcast > 0) {
+            const luminance = color.r * 0.3 + color.g * 0.59 + color.b * 0.11;
+            color.lerp(this._gray.setScalar(luminance), overcast * 0.75);
+            color.multiplyScalar(1 - overcast * darken);
+        }
+        if (this.flash > 0) {
+            color.lerp(this._gray.setRGB(0.75, 0.8, 1), Math.min(1, this.flash * 0.6));
+        }
+        if (this.tint > 0) {
+            color.lerp(this.tintColor, Math.min(1, this.tint));
+        }
+        return color;
+    }
+
+    applyTime() {
+        // 6h sunrise in the east (+x), 12h highest, 18h sunset in the west
+        const angle = ((this.time - 6) / 24) * Math.PI * 2;
+        this.sunDirection.set(
+            Math.cos(angle),
+            Math.sin(angle) * Math.cos(this.axialTilt),
+            Math.sin(angle) * Math.sin(this.axialTilt)
+        ).normalize();
+        this.moonDirection.copy(this.sunDirection).negate();
+        this.elevation = this.sunDirection.y;
+
+        const day = THREE.MathUtils.smoothstep(this.elevation, -0.05, 0.25);
+        this.nightFactor = 1 - THREE.MathUtils.smoothstep(this.elevation, -0.2, 0.02);
+
+        // Clouds hide the sun, moon and stars and pull the fog in
+        const clear = 1 - this.overcast;
+
+        this.applyWeather(this.samplePalette('zenith', this.uniforms.uZenithColor.value), 0.45);
+        this.applyWeather(this.samplePalette('horizon', this.uniforms.uHorizonColor.value), 0.35);
+        this.samplePalette('sun', this.uniforms.uSunColor.value);
+        this.uniforms.uNight.value = this.nightFactor * clear;
+
+        this.stars.material.opacity = this.nightFactor * clear;
+        this.stars.rotation.y = (this.time / 24) * Math.PI * 2;
+
+        this.sunLight.color.copy(this.uniforms.uSunColor.value);
+        this.sunLight.intensity = day * 2.2 * (1 - this.overcast * 0.7);
+        this.moonLight.intensity = this.nightFactor * 0.35 * (1 - this.overcast * 0.7);
+        this.uniforms.uSunColor.value.multiplyScalar(1 - this.overcast * 0.85);
+
+        this.applyWeather(this.samplePalette('ambient', this._color), 0.3);
+        this.skyLight.color.copy(this.uniforms.uZenithColor.value).lerp(this._color, 0.5);
+        this.skyLight.intensity = 0.15 + day * 0.9 * (1 - this.overcast * 0.4) + this.flash * 2.5;
+
+        this.applyWeather(this.samplePalette('fog', this.fog.color), 0.4);
+        this.fog.near = this.fogNear * (1 - this.overcast * 0.6);
+        this.fog.far = this.fogFar * (1 - this.overcast * 0.45);
+
+        if (this.ambientLight) {
+            this.ambientLight.color.copy(this._color);
+        }
+    }
+
+    dispose() {
+        this.group.removeFromParent();
+        this.dome.geometry.dispose();
+        this.dome.material.dispose();
+        this.stars.geometry.dispose();
+        this.stars.material.dispose();
+
+        [this.sunLight, this.moonLight, this.skyLight].forEach(light => {
+            light.removeFromParent();
+            light.target?.removeFromParent();
+            light.dispose();
+        });
+
+        if (this.scene.fog === this.fog) {
+            this.scene.fog = null;
+        }
+    }
+}
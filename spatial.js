@@ -0,0 +1,217 @@
+// spatial.js - Positional audio: sounds anchored to objects, heard from the camera
+import * as THREE from 'three';
+
+// Per-source defaults - override any of these in createSource / playLoop
+export const DEFAULT_SPATIAL_SOURCE = {
+    gain: 1,
+    panningModel: 'HRTF',
+    distanceModel: 'inverse',
+    refDistance: 2,
+    maxDistance: 100,
+    rolloffFactor: 1,
+
+    // Buses to mix into (dry) and send reverb to (wet); the SpatialAudio's
+    // own when null
+    dry: null,
+    wet: null,
+
+    // Reverb send level at the source and at reverbDistance away, blended
+    // linearly in between - far sounds are usually wetter
+    reverbNear: 0.1,
+    reverbFar: 0.5,
+    reverbDistance: 20,
+
+    // Loops only play while the listener is this close, so a forest of
+    // sound emitters costs a handful of voices
+    cullDistance: 25
+};
+
+const worldPosition = new THREE.Vector3();
+const listenerPosition = new THREE.Vector3();
+const forward = new THREE.Vector3();
+const up = new THREE.Vector3();
+
+// AudioParams where the browser has them, the old setters where it doesn't
+function setPosition(target, x, y, z) {
+    if (target.positionX) {
+        target.positionX.value = x;
+        target.positionY.value = y;
+        target.positionZ.value = z;
+    } else {
+        target.setPosition(x, y, z);
+    }
+}
+
+// One sound anchored to an object. Feed it through `input` (or give it a loop
+// with SpatialAudio.playLoop); it reaches the dry bus through a panner and the
+// reverb bus through a distance-based send.
+export class SpatialSource {
+    constructor(spatial, object, params = {}) {
+        this.spatial = spatial;
+        this.object = object;
+        this.options = { ...DEFAULT_SPATIAL_SOURCE, ...params };
+        this.distance = Infinity;
+
+        const context = spatial.context;
+        this.input = context.createGain();
+        this.input.gain.value = this.options.gain;
+
+        this.panner = context.createPanner();
+        this.panner.panningModel = this.options.panningModel;
+        this.panner.distanceModel = this.options.distanceModel;
+        this.panner.refDistance = this.options.refDistance;
+        this.panner.maxDistance = this.options.maxDistance;
+        this.panner.rolloffFactor = this.options.rolloffFactor;
+
+        this.send = context.createGain();
+        this.send.gain.value = 0;
+
+        this.input.connect(this.panner);
+        this.panner.connect(this.options.dry ?? spatial.dry);
+        // The send is taken before the panner so distant sources keep their tail
+        this.input.connect(this.send);
+        this.send.connect(this.options.wet ?? spatial.wet);
+
+        // Looping content, started and stopped with distance
+        this.loop = null;
+        this.voice = null;
+    }
+
+    // Fade the source's own level
+    setGain(value, timeConstant = 0.1) {
+        this.input.gain.setTargetAtTime(value, this.spatial.context.currentTime, timeConstant);
+    }
+
+    update(listenerPosition) {
+        this.object.getWorldPosition(worldPosition);
+        setPosition(this.panner, worldPosition.x, worldPosition.y, worldPosition.z);
+        this.distance = worldPosition.distanceTo(listenerPosition);
+
+        const { reverbNear, reverbFar, reverbDistance, cullDistance } = this.options;
+        const t = Math.min(1, this.distance / reverbDistance);
+        this.send.gain.setTargetAtTime(reverbNear + (reverbFar - reverbNear) * t, this.spatial.context.currentTime, 0.1);
+
+        if (this.loop) {
+            // A little hysteresis so a loop doesn't chatter at the edge
+            if (!this.voice && this.distance < cullDistance) {
+                this.startLoop();
+            } else if (this.voice && this.distance > cullDistance * 1.1) {
+                this.stopLoop();
+            }
+        }
+    }
+
+    startLoop() {
+        const context = this.spatial.context;
+        if (this.loop instanceof AudioBuffer) {
+            const source = context.createBufferSource();
+            source.buffer = this.loop;
+            source.loop = true;
+            source.connect(this.input);
+            // Start somewhere in the loop so neighbours don't play in unison
+            source.start(0, Math.random() * this.loop.duration);
+            this.voice = { stop: () => source.stop() };
+        } else {
+            // A factory building its own nodes into `input`, returning { stop }
+            this.voice = this.loop(context, this.input);
+        }
+    }
+
+    stopLoop() {
+        this.voice?.stop();
+        this.voice = null;
+    }
+
+    dispose() {
+        this.stopLoop();
+        this.loop = null;
+        this.input.disconnect();
+        this.panner.disconnect();
+        this.send.disconnect();
+    }
+}
+
+export class SpatialAudio {
+    // `dry` and `wet` are the buses sources mix into; `wet` should feed the reverb
+    constructor(context, camera, { dry, wet }) {
+        this.context = context;
+        this.camera = camera;
+        this.dry = dry;
+        this.wet = wet;
+        this.sources = [];
+        this.buffers = new Map(); // url -> Promise<AudioBuffer>
+    }
+
+    createSource(object, params) {
+        const source = new SpatialSource(this, object, params);
+        this.sources.push(source);
+        return source;
+    }
+
+    // A looping sound on an object. `sound` is an AudioBuffer, a url to one,
+    // or a factory (context, output) => { stop() } for generated sounds.
+    playLoop(object, sound, params) {
+        const source = this.createSource(object, params);
+
+        if (typeof sound === 'string') {
+            this.loadBuffer(sound)
+                .then(buffer => {
+                    if (this.sources.includes(source)) source.loop = buffer;
+                })
+                .catch(error => console.error(`Could not load sound "${sound}":`, error));
+        } else {
+            source.loop = sound;
+        }
+        return source;
+    }
+
+    // Decoded once per url however many objects use it
+    loadBuffer(url) {
+        if (!this.buffers.has(url)) {
+            this.buffers.set(url, fetch(url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.arrayBuffer();
+                })
+                .then(data => this.context.decodeAudioData(data)));
+        }
+        return this.buffers.get(url);
+    }
+
+    removeSource(source) {
+        const index = this.sources.indexOf(source);
+        if (index !== -1) {
+            this.sources.splice(index, 1);
+        }
+        source.dispose();
+    }
+
+    // Move the listener with the camera and the sources with their objects
+    update() {
+        const listener = this.context.listener;
+        this.camera.getWorldPosition(listenerPosition);
+        setPosition(listener, listenerPosition.x, listenerPosition.y, listenerPosition.z);
+
+        this.camera.getWorldDirection(forward);
+        up.set(0, 1, 0).applyQuaternion(this.camera.quaternion);
+        if (listener.forwardX) {
+            listener.forwardX.value = forward.x;
+            listener.forwardY.value = forward.y;
+            listener.forwardZ.value = forward.z;
+            listener.upX.value = up.x;
+            listener.upY.value = up.y;
+            listener.upZ.value = up.z;
+        } else {
+            listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+        }
+
+        this.sources.forEach(source => source.update(listenerPosition));
+    }
+
+    dispose() {
+        this.sources.forEach(source => source.dispose());
+        this.sources = [];
+    }
+}
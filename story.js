@@ -0,0 +1,465 @@
+// story.js - Data-driven story scripts: loading, validation and playback
+//
+// A script is JSON shaped like:
+//
+//   {
+//     "version": 1,
+//     "start": "intro",
+//     "flags": { "metGuide": false },
+//     "nodes": {
+//       "intro": {
+//         "text": "Shown when the node is entered",
+//         "duration": 3,              // Seconds the text stays up (default 3)
+//         "set": { "metGuide": true }, // Flags set on entry
+//         "event": "shatter",         // Event(s) emitted on entry, for the game to act on
+//         "reverb": "cave",           // Reverb preset while on this node (see REVERB_PRESETS)
+//         "end": false,               // True on final nodes
+//         "transitions": [
+//           { "to": "next", "trigger": { ... }, "conditions": [ ... ] }
+//         ]
+//       }
+//     }
+//   }
+//
+// Transitions are checked in order every frame and the first whose trigger and
+// conditions all hold is taken - list the more specific branches first.
+// Triggers and conditions share the same predicate types:
+//   { "type": "distance", "object": "orb", "below": 6 }  viewer to a named object
+//                                                      ("above" also works, "from" picks another object)
+//   { "type": "time", "after": 5 }                     seconds since entering the node
+//   { "type": "interact", "object": "orb" }            the player interacted (object optional)
+//   { "type": "flag", "flag": "metGuide", "equals": true }  ("equals" defaults to true)
+//   { "type": "visited", "node": "intro" }
+//   { "type": "all" | "any", "conditions": [ ... ] }
+//   { "type": "not", "condition": { ... } }
+
+export const STORY_SCRIPT_VERSION = 1;
+
+const DEFAULT_TEXT_DURATION = 3;
+
+// Required and optional fields of each predicate type
+const PREDICATES = {
+    distance: { required: ['object'], optional: ['below', 'above', 'from'] },
+    time: { required: ['after'], optional: [] },
+    interact: { required: [], optional: ['object'] },
+    flag: { required: ['flag'], optional: ['equals'] },
+    visited: { required: ['node'], optional: [] },
+    all: { required: ['conditions'], optional: [] },
+    any: { required: ['conditions'], optional: [] },
+    not: { required: ['condition'], optional: [] }
+};
+
+const NODE_FIELDS = ['text', 'duration', 'set', 'event', 'reverb', 'end', 'transitions'];
+
+// Thrown by loadStoryScript with every problem found, one per line
+export class StoryScriptError extends Error {
+    constructor(problems, name = 'story script') {
+        super(`Invalid ${name}:\n  ${problems.join('\n  ')}`);
+        this.name = 'StoryScriptError';
+        this.problems = problems;
+    }
+}
+
+// Check a parsed script, collecting readable problems with their path
+function validateScript(script) {
+    const problems = [];
+
+    if (!script || typeof script !== 'object' || Array.isArray(script)) {
+        return ['the script must be an object'];
+    }
+    if (script.version !== undefined && script.version !== STORY_SCRIPT_VERSION) {
+        problems.push(`version: unsupported version ${JSON.stringify(script.version)} (expected ${STORY_SCRIPT_VERSION})`);
+    }
+
+    const nodes = script.nodes;
+    if (!nodes || typeof nodes !== 'object' || Array.isArray(nodes)) {
+        problems.push('nodes: must be an object of nodes keyed by name');
+        return problems;
+    }
+
+    const nodeNames = Object.keys(nodes);
+    if (nodeNames.length === 0) {
+        problems.push('nodes: the script has no nodes');
+    }
+
+    const checkNodeName = (name, path) => {
+        if (typeof name !== 'string') {
+            problems.push(`${path}: must be a node name`);
+        } else if (!Object.hasOwn(nodes, name)) {
+            problems.push(`${path}: unknown node "${name}"`);
+        }
+    };
+
+    if (script.start === undefined) {
+        problems.push('start: missing the name of the first node');
+    } else {
+        checkNodeName(script.start, 'start');
+    }
+
+    if (script.flags !== undefined && (typeof script.flags !== 'object' || Array.isArray(script.flags))) {
+        problems.push('flags: must be an object of flag names to initial values');
+    }
+
+    const checkNumber = (value, path) => {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            problems.push(`${path}: must be a number`);
+        }
+    };
+
+    const checkPredicate = (predicate, path) => {
+        if (!predicate || typeof predicate !== 'object' || Array.isArray(predicate)) {
+            problems.push(`${path}: must be an object with a "type"`);
+            return;
+        }
+
+        const spec = Object.hasOwn(PREDICATES, predicate.type) ? PREDICATES[predicate.type] : null;
+        if (!spec) {
+            problems.push(`${path}.type: unknown trigger "${predicate.type}" (expected one of ${Object.keys(PREDICATES).join(', ')})`);
+            return;
+        }
+
+        spec.required.forEach(field => {
+            if (predicate[field] === undefined) {
+                problems.push(`${path}: "${predicate.type}" needs "${field}"`);
+            }
+        });
+        Object.keys(predicate).forEach(field => {
+            if (field !== 'type' && !spec.required.includes(field) && !spec.optional.includes(field)) {
+                problems.push(`${path}.${field}: not a field of "${predicate.type}"`);
+            }
+        });
+
+        switch (predicate.type) {
+            case 'distance':
+                if (predicate.below === undefined && predicate.above === undefined) {
+                    problems.push(`${path}: "distance" needs "below" or "above"`);
+                }
+                if (predicate.below !== undefined) checkNumber(predicate.below, `${path}.below`);
+                if (predicate.above !== undefined) checkNumber(predicate.above, `${path}.above`);
+                break;
+            case 'time':
+                if (predicate.after !== undefined) checkNumber(predicate.after, `${path}.after`);
+                break;
+            case 'visited':
+                if (predicate.node !== undefined) checkNodeName(predicate.node, `${path}.node`);
+                break;
+            case 'all':
+            case 'any':
+                if (Array.isArray(predicate.conditions)) {
+                    predicate.conditions.forEach((condition, i) => checkPredicate(condition, `${path}.conditions[${i}]`));
+                } else if (predicate.conditions !== undefined) {
+                    problems.push(`${path}.conditions: must be a list`);
+                }
+                break;
+            case 'not':
+                if (predicate.condition !== undefined) checkPredicate(predicate.condition, `${path}.condition`);
+                break;
+        }
+    };
+
+    nodeNames.forEach(name => {
+        const node = nodes[name];
+        const path = `nodes.${name}`;
+
+        if (!node || typeof node !== 'object' || Array.isArray(node)) {
+            problems.push(`${path}: must be an object`);
+            return;
+        }
+
+        Object.keys(node).forEach(field => {
+            if (!NODE_FIELDS.includes(field)) {
+                problems.push(`${path}.${field}: unknown node field (expected one of ${NODE_FIELDS.join(', ')})`);
+            }
+        });
+
+        if (node.text !== undefined && typeof node.text !== 'string') {
+            problems.push(`${path}.text: must be a string`);
+        }
+        if (node.duration !== undefined) checkNumber(node.duration, `${path}.duration`);
+        if (node.set !== undefined && (typeof node.set !== 'object' || Array.isArray(node.set))) {
+            problems.push(`${path}.set: must be an object of flag names to values`);
+        }
+        if (node.reverb !== undefined && typeof node.reverb !== 'string') {
+            problems.push(`${path}.reverb: must be a reverb preset name`);
+        }
+        if (node.event !== undefined) {
+            const events = Array.isArray(node.event) ? node.event : [node.event];
+            if (events.some(event => typeof event !== 'string')) {
+                problems.push(`${path}.event: must be an event name or a list of them`);
+            }
+        }
+
+        if (node.transitions === undefined) {
+            if (!node.end) {
+                problems.push(`${path}: has no transitions - mark it "end": true if the story stops here`);
+            }
+            return;
+        }
+        if (!Array.isArray(node.transitions)) {
+            problems.push(`${path}.transitions: must be a list`);
+            return;
+        }
+
+        node.transitions.forEach((transition, i) => {
+            const transitionPath = `${path}.transitions[${i}]`;
+            if (!transition || typeof transition !== 'object') {
+                problems.push(`${transitionPath}: must be an object`);
+                return;
+            }
+            checkNodeName(transition.to, `${transitionPath}.to`);
+
+            if (transition.trigger === undefined) {
+                problems.push(`${transitionPath}: missing "trigger"`);
+            } else {
+                checkPredicate(transition.trigger, `${transitionPath}.trigger`);
+            }
+
+            if (transition.conditions !== undefined) {
+                if (Array.isArray(transition.conditions)) {
+                    transition.conditions.forEach((condition, j) => checkPredicate(condition, `${transitionPath}.conditions[${j}]`));
+                } else {
+                    problems.push(`${transitionPath}.conditions: must be a list`);
+                }
+            }
+        });
+    });
+
+    return problems;
+}
+
+// Parse (if given a string) and validate a story script. Throws a
+// StoryScriptError listing everything wrong with it.
+export function loadStoryScript(source, name) {
+    let script = source;
+    if (typeof source === 'string') {
+        try {
+            script = JSON.parse(source);
+        } catch (error) {
+            throw new StoryScriptError([`not valid JSON (${error.message})`], name);
+        }
+    }
+
+    const problems = validateScript(script);
+    if (problems.length > 0) {
+        throw new StoryScriptError(problems, name);
+    }
+    return script;
+}
+
+// Fetch a script from a URL and load it
+export async function fetchStoryScript(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load story script ${url} (${response.status} ${response.statusText})`);
+    }
+    return loadStoryScript(await response.text(), `story script ${url}`);
+}
+
+// Plays a loaded script. The game registers the objects the script refers to,
+// reports interactions and listens for events:
+//   'node' (name, node)    - a node was entered
+//   'text' (text, seconds) - show a line of story text
+//   'hideText' ()          - its time is up
+//   'end' (name)           - an end node was reached
+//   plus any names used in the nodes' "event" fields
+export class StoryRunner {
+    constructor(script, options = {}) {
+        this.script = script;
+        this.viewer = options.viewer ?? null; // Object3D distances are measured from
+        this.objects = new Map();
+        this.handlers = new Map();
+
+        this.current = null;
+        this.timeInNode = 0;
+        this.textTime = 0;
+        this.flags = {};
+        this.visited = new Set();
+        this.interactions = [];
+        this.finished = false;
+    }
+
+    // Make a scene object available to distance triggers under a name
+    registerObject(name, object) {
+        this.objects.set(name, object);
+    }
+
+    on(name, handler) {
+        if (!this.handlers.has(name)) {
+            this.handlers.set(name, []);
+        }
+        this.handlers.get(name).push(handler);
+    }
+
+    emit(name, ...args) {
+        this.handlers.get(name)?.forEach(handler => handler(...args));
+    }
+
+    // Begin at the script's start node (or another), with fresh flags
+    start(nodeName = this.script.start) {
+        const missing = this.referencedObjects().filter(name => !this.objects.has(name));
+        if (missing.length > 0) {
+            throw new Error(`Story script refers to unregistered objects: ${missing.join(', ')}`);
+        }
+
+        this.flags = { ...this.script.flags };
+        this.visited.clear();
+        this.finished = false;
+        this.goTo(nodeName);
+    }
+
+    // Names of every object used by a distance or interact predicate
+    referencedObjects() {
+        const names = new Set();
+        const visit = predicate => {
+            if (predicate.type === 'distance') {
+                names.add(predicate.object);
+                if (predicate.from) names.add(predicate.from);
+            }
+            predicate.conditions?.forEach(visit);
+            if (predicate.condition) visit(predicate.condition);
+        };
+
+        Object.values(this.script.nodes).forEach(node => {
+            node.transitions?.forEach(transition => {
+                visit(transition.trigger);
+                transition.conditions?.forEach(visit);
+            });
+        });
+        return [...names];
+    }
+
+    goTo(nodeName) {
+        const node = Object.hasOwn(this.script.nodes, nodeName) ? this.script.nodes[nodeName] : null;
+        if (!node) {
+            throw new Error(`Unknown story node "${nodeName}"`);
+        }
+
+        this.current = nodeName;
+        this.timeInNode = 0;
+        this.visited.add(nodeName);
+        Object.assign(this.flags, node.set);
+
+        this.emit('node', nodeName, node);
+
+        if (node.text) {
+            this.textTime = node.duration ?? DEFAULT_TEXT_DURATION;
+            this.emit('text', node.text, this.textTime);
+        }
+
+        const events = node.event === undefined ? [] : [].concat(node.event);
+        events.forEach(event => this.emit(event, nodeName));
+
+        if (node.end) {
+            this.finished = true;
+            this.emit('end', nodeName);
+        }
+    }
+
+    getNode() {
+        return this.current ? this.script.nodes[this.current] : null;
+    }
+
+    setFlag(name, value = true) {
+        this.flags[name] = value;
+    }
+
+    getFlag(name) {
+        return this.flags[name];
+    }
+
+    // Plain data for a save game
+    getState() {
+        return {
+            node: this.current,
+            flags: { ...this.flags },
+            visited: [...this.visited]
+        };
+    }
+
+    // Pick up from getState() without replaying entry flags or events; the
+    // node's text is shown again as a reminder. Returns false (and leaves the
+    // runner alone) if the node no longer exists in this script.
+    restore(state) {
+        const node = state && Object.hasOwn(this.script.nodes, state.node) ? this.script.nodes[state.node] : null;
+        if (!node) return false;
+
+        this.current = state.node;
+        this.timeInNode = 0;
+        this.flags = { ...this.script.flags, ...state.flags };
+        this.visited = new Set(state.visited ?? [state.node]);
+        this.finished = Boolean(node.end);
+
+        this.emit('node', state.node, node);
+        if (node.text) {
+            this.textTime = node.duration ?? DEFAULT_TEXT_DURATION;
+            this.emit('text', node.text, this.textTime);
+        }
+        return true;
+    }
+
+    // The player interacted, optionally with a named object; seen by
+    // "interact" triggers on the next update
+    interact(objectName = null) {
+        this.interactions.push(objectName);
+    }
+
+    distanceTo(name, from) {
+        const target = this.objects.get(name);
+        const origin = from ? this.objects.get(from) : this.viewer;
+        if (!target || !origin) return Infinity;
+        return origin.position.distanceTo(target.position);
+    }
+
+    evaluate(predicate) {
+        switch (predicate.type) {
+            case 'distance': {
+                const distance = this.distanceTo(predicate.object, predicate.from);
+                return (predicate.below === undefined || distance < predicate.below) &&
+                    (predicate.above === undefined || distance > predicate.above);
+            }
+            case 'time':
+                return this.timeInNode >= predicate.after;
+            case 'interact':
+                return this.interactions.some(name => !predicate.object || name === predicate.object);
+            case 'flag':
+                return predicate.equals === undefined ? Boolean(this.flags[predicate.flag]) : this.flags[predicate.flag] === predicate.equals;
+            case 'visited':
+                return this.visited.has(predicate.node);
+            case 'all':
+                return predicate.conditions.every(condition => this.evaluate(condition));
+            case 'any':
+                return predicate.conditions.some(condition => this.evaluate(condition));
+            case 'not':
+                return !this.evaluate(predicate.condition);
+            default:
+                return false;
+        }
+    }
+
+    update(delta) {
+        if (!this.current) return;
+
+        this.timeInNode += delta;
+
+        if (this.textTime > 0) {
+            this.textTime -= delta;
+            if (this.textTime <= 0) {
+                this.emit('hideText');
+            }
+        }
+
+        const node = this.getNode();
+        if (!this.finished && node.transitions) {
+            // At most one step per frame, so a chain of nodes still shows each text
+            const transition = node.transitions.find(candidate =>
+                this.evaluate(candidate.trigger) &&
+                (candidate.conditions ?? []).every(condition => this.evaluate(condition)));
+
+            if (transition) {
+                this.goTo(transition.to);
+            }
+        }
+
+        this.interactions.length = 0;
+    }
+}
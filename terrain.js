@@ -0,0 +1,284 @@
+// terrain.js - Streams terrain chunks around the viewer with distance-based LOD
+import * as THREE from 'three';
+import { GrassField } from './grass.js';
+
+export class ChunkedTerrain {
+    constructor(environment) {
+        this.environment = environment;
+        this.options = environment.terrain;
+
+        this.group = new THREE.Group();
+        this.group.name = 'terrain-chunks';
+        environment.scene.add(this.group);
+
+        // One material for every chunk, so unloading only frees geometry
+        this.material = new THREE.MeshStandardMaterial({
+            color: 0x3b5e2b,
+            roughness: 0.8,
+            metalness: 0.1
+        });
+
+        this.chunks = new Map();
+        this.queue = [];
+        this.centerX = null;
+        this.centerZ = null;
+    }
+
+    static key(cx, cz) {
+        return `${cx},${cz}`;
+    }
+
+    // Level of detail index for a chunk, by its ring around the viewer's chunk
+    lodFor(cx, cz) {
+        const ring = Math.max(Math.abs(cx - this.centerX), Math.abs(cz - this.centerZ));
+        const levels = this.options.lodResolutions.length;
+        return Math.min(levels - 1, Math.max(0, ring - this.options.detailDistance));
+    }
+
+    isDetailed(cx, cz) {
+        const ring = Math.max(Math.abs(cx - this.centerX), Math.abs(cz - this.centerZ));
+        return ring <= this.options.detailDistance;
+    }
+
+    // Call every frame with the viewer position. Pass immediate to build the
+    // whole neighbourhood at once instead of spreading it over frames.
+    update(x, z, immediate = false) {
+        const { chunkSize } = this.options;
+        const cx = Math.round(x / chunkSize);
+        const cz = Math.round(z / chunkSize);
+
+        if (cx !== this.centerX || cz !== this.centerZ) {
+            this.centerX = cx;
+            this.centerZ = cz;
+            this.refresh();
+        }
+
+        // Build queued chunks within the per-frame budget, nearest first
+        let budget = immediate ? Infinity : this.options.chunksPerFrame;
+        while (this.queue.length > 0 && budget-- > 0) {
+            this.build(this.queue.shift());
+        }
+    }
+
+    // Work out which chunks should exist at which detail, now that the
+    // viewer has moved into a new chunk
+    refresh() {
+        const { viewDistance } = this.options;
+        const wanted = new Set();
+
+        for (let dz = -viewDistance; dz <= viewDistance; dz++) {
+            for (let dx = -viewDistance; dx <= viewDistance; dx++) {
+                const cx = this.centerX + dx;
+                const cz = this.centerZ + dz;
+                const key = ChunkedTerrain.key(cx, cz);
+                wanted.add(key);
+
+                let chunk = this.chunks.get(key);
+                if (!chunk) {
+                    chunk = { key, cx, cz, mesh: null, signature: null, grass: null, scenery: [] };
+                    this.chunks.set(key, chunk);
+                }
+
+                if (chunk.signature !== this.signatureFor(cx, cz) && !this.queue.includes(chunk)) {
+                    this.queue.push(chunk);
+                }
+            }
+        }
+
+        // Unload chunks that fell out of view
+        this.chunks.forEach((chunk, key) => {
+            if (!wanted.has(key)) {
+                this.unload(chunk);
+                this.chunks.delete(key);
+            }
+        });
+        this.queue = this.queue.filter(chunk => wanted.has(chunk.key));
+
+        const distance = chunk => Math.max(Math.abs(chunk.cx - this.centerX), Math.abs(chunk.cz - this.centerZ));
+        this.queue.sort((a, b) => distance(a) - distance(b));
+    }
+
+    // A chunk's mesh depends on its own LOD and on the LOD of the four
+    // neighbours it has to stitch against
+    signatureFor(cx, cz) {
+        return [
+            this.lodFor(cx, cz),
+            this.lodFor(cx, cz - 1),
+            this.lodFor(cx + 1, cz),
+            this.lodFor(cx, cz + 1),
+            this.lodFor(cx - 1, cz),
+            this.isDetailed(cx, cz) ? 'detail' : 'bare'
+        ].join(':');
+    }
+
+    build(chunk) {
+        const { cx, cz } = chunk;
+        const signature = this.signatureFor(cx, cz);
+        if (chunk.signature === signature) return;
+
+        const { lodResolutions } = this.options;
+        const segments = lodResolutions[this.lodFor(cx, cz)];
+        const edgeSegments = {
+            north: lodResolutions[this.lodFor(cx, cz - 1)],
+            east: lodResolutions[this.lodFor(cx + 1, cz)],
+            south: lodResolutions[this.lodFor(cx, cz + 1)],
+            west: lodResolutions[this.lodFor(cx - 1, cz)]
+        };
+
+        const geometry = this.createChunkGeometry(cx, cz, segments, edgeSegments);
+        if (chunk.mesh) {
+            chunk.mesh.geometry.dispose();
+            chunk.mesh.geometry = geometry;
+        } else {
+            chunk.mesh = new THREE.Mesh(geometry, this.material);
+            chunk.mesh.name = `terrain-chunk-${chunk.key}`;
+            this.group.add(chunk.mesh);
+            this.environment.applyFog(chunk.mesh);
+            this.environment.setShadowFlags(chunk.mesh, 'ground');
+        }
+
+        // Grass and scenery only live on chunks close to the viewer
+        const detailed = this.isDetailed(cx, cz);
+        if (detailed && chunk.scenery.length === 0 && !chunk.grass) {
+            this.populate(chunk);
+        } else if (!detailed) {
+            this.clearScenery(chunk);
+        }
+
+        chunk.signature = signature;
+    }
+
+    // Grid of (segments + 1)^2 vertices in world space. Edge vertices facing a
+    // coarser neighbour are snapped onto the neighbour's straight edge so the
+    // two meshes meet without cracks.
+    createChunkGeometry(cx, cz, segments, edgeSegments) {
+        const environment = this.environment;
+        const { chunkSize } = this.options;
+        const originX = cx * chunkSize - chunkSize / 2;
+        const originZ = cz * chunkSize - chunkSize / 2;
+        const step = chunkSize / segments;
+        const rowLength = segments + 1;
+
+        const positions = new Float32Array(rowLength * rowLength * 3);
+        const normals = new Float32Array(rowLength * rowLength * 3);
+        const uvs = new Float32Array(rowLength * rowLength * 2);
+        const heights = new Float32Array(rowLength * rowLength);
+        const normal = new THREE.Vector3();
+
+        for (let row = 0; row <= segments; row++) {
+            for (let col = 0; col <= segments; col++) {
+                const i = row * rowLength + col;
+                const x = originX + col * step;
+                const z = originZ + row * step;
+                heights[i] = environment.getHeightAt(x, z);
+
+                environment.getNormalAt(x, z, normal);
+                positions.set([x, heights[i], z], i * 3);
+                normals.set([normal.x, normal.y, normal.z], i * 3);
+                uvs.set([col / segments, 1 - row / segments], i * 2);
+            }
+        }
+
+        // Snap one edge onto a coarser neighbour's edge
+        const stitch = (neighbourSegments, indexAt) => {
+            if (neighbourSegments >= segments) return;
+            const ratio = segments / neighbourSegments;
+
+            for (let k = 0; k < segments; k += ratio) {
+                const start = heights[indexAt(k)];
+                const end = heights[indexAt(k + ratio)];
+                for (let j = 1; j < ratio; j++) {
+                    const i = indexAt(k + j);
+                    positions[i * 3 + 1] = start + (end - start) * (j / ratio);
+                }
+            }
+        };
+
+        stitch(edgeSegments.north, k => k);
+        stitch(edgeSegments.south, k => segments * rowLength + k);
+        stitch(edgeSegments.west, k => k * rowLength);
+        stitch(edgeSegments.east, k => k * rowLength + segments);
+
+        const indices = [];
+        for (let row = 0; row < segments; row++) {
+            for (let col = 0; col < segments; col++) {
+                const a = row * rowLength + col;
+                const b = a + 1;
+                const c = a + rowLength;
+                const d = c + 1;
+                indices.push(a, c, b, b, c, d);
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+        geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+        geometry.setIndex(indices);
+        geometry.computeBoundingSphere();
+        return geometry;
+    }
+
+    // Scatter grass and scenery on a chunk. Each chunk draws from its own
+    // generator so it comes back identical whatever order chunks load in.
+    populate(chunk) {
+        const environment = this.environment;
+        const { chunkSize } = this.options;
+        const random = environment.random.fork(`chunk:${chunk.key}`);
+        const originX = chunk.cx * chunkSize - chunkSize / 2;
+        const originZ = chunk.cz * chunkSize - chunkSize / 2;
+
+        const bladeCount = Math.floor(chunkSize * chunkSize * environment.grassOptions.chunkDensity);
+        chunk.grass = new GrassField({ maxBlades: bladeCount, uniforms: environment.grass.uniforms });
+        const grassColor = new THREE.Color();
+        for (let i = 0; i < bladeCount; i++) {
+            const x = originX + random.next() * chunkSize;
+            const z = originZ + random.next() * chunkSize;
+            environment.addGrassBlade(chunk.grass, x, z, random, grassColor);
+        }
+        chunk.grass.commit();
+        this.group.add(chunk.grass.mesh);
+        environment.applyFog(chunk.grass.mesh);
+        environment.setShadowFlags(chunk.grass.mesh, 'grass');
+
+        chunk.scenery = environment.createVegetation(originX, originZ, chunkSize, chunkSize, random);
+    }
+
+    clearScenery(chunk) {
+        chunk.scenery.forEach(object => this.environment.removeElement(object));
+        chunk.scenery = [];
+
+        if (chunk.grass) {
+            this.environment.shadows?.untrack(chunk.grass.mesh);
+            chunk.grass.dispose();
+            chunk.grass = null;
+        }
+    }
+
+    unload(chunk) {
+        this.clearScenery(chunk);
+
+        if (chunk.mesh) {
+            this.environment.shadows?.untrack(chunk.mesh);
+            chunk.mesh.removeFromParent();
+            chunk.mesh.geometry.dispose();
+            chunk.mesh = null;
+        }
+    }
+
+    // Ground and grass meshes of the loaded chunks
+    forEachSurface(callback) {
+        this.chunks.forEach(chunk => {
+            if (chunk.mesh) callback(chunk.mesh);
+            if (chunk.grass) callback(chunk.grass.mesh);
+        });
+    }
+
+    dispose() {
+        this.chunks.forEach(chunk => this.unload(chunk));
+        this.chunks.clear();
+        this.queue = [];
+        this.material.dispose();
+        this.group.removeFromParent();
+    }
+}
@@ -0,0 +1,105 @@
+// timeline.js - Pause-aware sequencer for scripted moments on the game clock
+//
+// Cues sit on named tracks ('text', 'lights', 'audio', 'particles', 'overlay',
+// ...) at a time in seconds. A cue may have:
+//   start()          - when the playhead reaches `at`
+//   update(progress) - every frame over `duration`, progress 0 to 1
+//   end()            - when the playhead passes `at + duration`
+//   reset()          - when a seek moves the playhead back before `at`
+// Seeking forwards (and skipping) runs every cue passed on the way, in order,
+// so the world ends up as if the time had been played. Finished cues without
+// reset() are forgotten, so seeking back never replays them.
+
+export class Timeline {
+    // `paused` holds the playhead until resume(), e.g. behind a start screen
+    constructor({ paused = false } = {}) {
+        this.time = 0;
+        this.paused = paused;
+        this.cues = [];
+    }
+
+    // Add a cue; `at` is absolute timeline time
+    add(cue) {
+        const entry = { track: 'default', duration: 0, ...cue, state: 'pending' };
+        this.cues.push(entry);
+        // Stable sort keeps cues at the same time in the order they were added
+        this.cues.sort((a, b) => a.at - b.at);
+        return entry;
+    }
+
+    // Add a group of cues with times relative to now (or `offset`)
+    sequence(cues, offset = this.time) {
+        return cues.map(cue => this.add({ ...cue, at: offset + (cue.at ?? 0) }));
+    }
+
+    // Drop cues, or only those on one track, without running them
+    clear(track) {
+        this.cues = track === undefined ? [] : this.cues.filter(cue => cue.track !== track);
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    // Time at which the last cue finishes
+    getDuration() {
+        return this.cues.reduce((end, cue) => Math.max(end, cue.at + cue.duration), 0);
+    }
+
+    // Whether any cue has yet to finish
+    isActive() {
+        return this.cues.some(cue => cue.state !== 'done');
+    }
+
+    update(delta) {
+        if (this.paused) return;
+        this.advance(this.time + delta);
+    }
+
+    // Move the playhead to any time, playing or rewinding cues on the way
+    seek(time) {
+        if (time < this.time) {
+            [...this.cues].reverse().forEach(cue => {
+                if (cue.state !== 'pending' && time < cue.at) {
+                    cue.reset?.();
+                    cue.state = 'pending';
+                }
+            });
+        }
+        this.advance(time);
+    }
+
+    // Jump to the end of everything scheduled
+    skip() {
+        this.seek(Math.max(this.time, this.getDuration()));
+    }
+
+    advance(time) {
+        this.time = time;
+
+        // Cues can add more cues while running, so walk a snapshot
+        for (const cue of [...this.cues]) {
+            if (cue.state === 'done' || time < cue.at) continue;
+
+            if (cue.state === 'pending') {
+                cue.state = 'running';
+                cue.start?.();
+            }
+
+            const progress = cue.duration > 0 ? Math.min(1, (time - cue.at) / cue.duration) : 1;
+            cue.update?.(progress);
+
+            if (progress >= 1) {
+                cue.state = 'done';
+                cue.end?.();
+            }
+        }
+
+        // Rewinding a cue with reset() needs it kept; the rest can go
+        this.cues = this.cues.filter(cue => cue.state !== 'done' || cue.reset);
+    }
+}
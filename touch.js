@@ -0,0 +1,247 @@
+// touch.js - On-screen controls for phones and tablets
+//
+// A floating joystick for the left thumb, drag-to-look everywhere else and
+// buttons for interact and pause. Movement goes through the input actions
+// (InputManager.setVirtual), so it feeds the same velocity model as keys and
+// sticks; look deltas are handed to `onLook` to turn the camera.
+
+export const DEFAULT_TOUCH_CONTROLS = {
+    deadZone: 0.12, // Of the joystick radius
+    lookSpeed: 0.005, // Radians per pixel dragged
+    onLook: () => {},
+    onPause: () => {},
+    parent: null
+};
+
+// Phones and tablets; a touch laptop with a mouse keeps the desktop controls
+// until it is actually touched
+export function isTouchDevice() {
+    return Boolean(window.matchMedia?.('(pointer: coarse)').matches) && navigator.maxTouchPoints > 0;
+}
+
+export class TouchControls {
+    constructor(input, params = {}) {
+        this.input = input;
+        this.options = { ...DEFAULT_TOUCH_CONTROLS, ...params };
+
+        this.active = isTouchDevice(); // Touch mode, switched on by the first touch
+        this.onActivate = null;
+        this.stickPointer = null;
+        this.stickOrigin = { x: 0, y: 0 };
+        this.lookPointers = new Map(); // pointerId -> last position
+
+        this.createLayer();
+        this.layout();
+
+        this.onFirstTouch = event => {
+            if (event.pointerType === 'touch' && !this.active) {
+                this.active = true;
+                this.onActivate?.();
+            }
+        };
+        this.onResize = () => this.layout();
+
+        window.addEventListener('pointerdown', this.onFirstTouch, true);
+        window.addEventListener('resize', this.onResize);
+        window.addEventListener('orientationchange', this.onResize);
+    }
+
+    createLayer() {
+        // Full-screen layer that takes the touches while playing
+        this.layer = document.createElement('div');
+        this.layer.style.position = 'absolute';
+        this.layer.style.inset = '0';
+        this.layer.style.touchAction = 'none';
+        this.layer.style.userSelect = 'none';
+        this.layer.style.webkitUserSelect = 'none';
+        this.layer.style.display = 'none';
+
+        this.stickBase = this.createCircle('rgba(255, 255, 255, 0.12)', '2px solid rgba(255, 204, 102, 0.5)');
+        this.stickKnob = this.createCircle('rgba(255, 204, 102, 0.6)', 'none');
+        this.stickBase.style.opacity = '0.6';
+        this.layer.appendChild(this.stickBase);
+        this.layer.appendChild(this.stickKnob);
+
+        this.interactButton = this.createButton('✋', () => this.input.trigger('interact'));
+        this.pauseButton = this.createButton('❚❚', () => this.options.onPause());
+        this.layer.appendChild(this.interactButton);
+        this.layer.appendChild(this.pauseButton);
+
+        this.layer.addEventListener('pointerdown', event => this.handleDown(event));
+        this.layer.addEventListener('pointermove', event => this.handleMove(event));
+        this.layer.addEventListener('pointerup', event => this.handleUp(event));
+        this.layer.addEventListener('pointercancel', event => this.handleUp(event));
+        // Keep the taps from reaching the page's click-to-start handler
+        this.layer.addEventListener('click', event => event.stopPropagation());
+
+        (this.options.parent ?? document.body).appendChild(this.layer);
+    }
+
+    createCircle(background, border) {
+        const circle = document.createElement('div');
+        circle.style.position = 'absolute';
+        circle.style.borderRadius = '50%';
+        circle.style.background = background;
+        circle.style.border = border;
+        circle.style.pointerEvents = 'none';
+        circle.style.transform = 'translate(-50%, -50%)';
+        return circle;
+    }
+
+    createButton(label, onPress) {
+        const button = document.createElement('div');
+        button.textContent = label;
+        button.style.position = 'absolute';
+        button.style.display = 'flex';
+        button.style.alignItems = 'center';
+        button.style.justifyContent = 'center';
+        button.style.borderRadius = '50%';
+        button.style.color = '#ffffff';
+        button.style.background = 'rgba(255, 204, 102, 0.35)';
+        button.style.border = '2px solid rgba(255, 204, 102, 0.7)';
+        button.addEventListener('pointerdown', event => {
+            // Buttons don't start a joystick or look drag
+            event.stopPropagation();
+            onPress();
+        });
+        return button;
+    }
+
+    // Size and place everything for the current screen and orientation
+    layout() {
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        this.portrait = height > width;
+
+        const short = Math.min(width, height);
+        this.stickRadius = Math.max(40, Math.min(90, short * (this.portrait ? 0.16 : 0.18)));
+
+        // Resting place of the joystick: lower left, higher up in portrait
+        // where the thumb sits further from the corner
+        this.stickHome = {
+            x: this.stickRadius + short * 0.08,
+            y: height - this.stickRadius - short * (this.portrait ? 0.2 : 0.1)
+        };
+
+        this.sizeCircle(this.stickBase, this.stickRadius * 2);
+        this.sizeCircle(this.stickKnob, this.stickRadius * 0.9);
+        if (this.stickPointer === null) {
+            this.placeStick(this.stickHome.x, this.stickHome.y, 0, 0);
+        }
+
+        const buttonSize = Math.max(56, this.stickRadius * 1.1);
+        this.placeButton(this.interactButton, buttonSize, width - buttonSize - short * 0.08, this.stickHome.y - buttonSize / 2);
+        this.placeButton(this.pauseButton, buttonSize * 0.7, width - buttonSize * 0.7 - 12, 12);
+    }
+
+    sizeCircle(circle, size) {
+        circle.style.width = `${size}px`;
+        circle.style.height = `${size}px`;
+    }
+
+    placeButton(button, size, left, top) {
+        this.sizeCircle(button, size);
+        button.style.left = `${left}px`;
+        button.style.top = `${top}px`;
+        button.style.fontSize = `${size * 0.4}px`;
+    }
+
+    placeStick(x, y, knobX, knobY) {
+        this.stickBase.style.left = `${x}px`;
+        this.stickBase.style.top = `${y}px`;
+        this.stickKnob.style.left = `${x + knobX}px`;
+        this.stickKnob.style.top = `${y + knobY}px`;
+    }
+
+    // The joystick zone: left half in landscape, lower left quarter in
+    // portrait so the top of the screen stays free for looking
+    inStickZone(x, y) {
+        return x < window.innerWidth / 2 && (!this.portrait || y > window.innerHeight / 2);
+    }
+
+    handleDown(event) {
+        this.layer.setPointerCapture?.(event.pointerId);
+
+        if (this.stickPointer === null && this.inStickZone(event.clientX, event.clientY)) {
+            // The joystick floats to wherever the thumb lands
+            this.stickPointer = event.pointerId;
+            this.stickOrigin = { x: event.clientX, y: event.clientY };
+            this.placeStick(event.clientX, event.clientY, 0, 0);
+            this.stickBase.style.opacity = '1';
+        } else {
+            this.lookPointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        }
+    }
+
+    handleMove(event) {
+        if (event.pointerId === this.stickPointer) {
+            let x = event.clientX - this.stickOrigin.x;
+            let y = event.clientY - this.stickOrigin.y;
+            const distance = Math.hypot(x, y);
+            if (distance > this.stickRadius) {
+                x *= this.stickRadius / distance;
+                y *= this.stickRadius / distance;
+            }
+            this.placeStick(this.stickOrigin.x, this.stickOrigin.y, x, y);
+            this.setStick(x / this.stickRadius, y / this.stickRadius);
+            return;
+        }
+
+        const last = this.lookPointers.get(event.pointerId);
+        if (last) {
+            const dx = event.clientX - last.x;
+            const dy = event.clientY - last.y;
+            last.x = event.clientX;
+            last.y = event.clientY;
+            // Drag right to turn right, drag up to look up
+            this.options.onLook(dx * this.options.lookSpeed, -dy * this.options.lookSpeed);
+        }
+    }
+
+    handleUp(event) {
+        if (event.pointerId === this.stickPointer) {
+            this.releaseStick();
+        }
+        this.lookPointers.delete(event.pointerId);
+    }
+
+    // Joystick deflection (screen axes, -1 to 1) onto the move actions, with
+    // the dead zone rescaled like a gamepad stick
+    setStick(x, y) {
+        const magnitude = Math.hypot(x, y);
+        const deadZone = this.options.deadZone;
+        const scale = magnitude <= deadZone ? 0 : (magnitude - deadZone) / (1 - deadZone) / magnitude;
+
+        this.input.setVirtual('moveRight', x * scale);
+        this.input.setVirtual('moveLeft', -x * scale);
+        this.input.setVirtual('moveBackward', y * scale);
+        this.input.setVirtual('moveForward', -y * scale);
+    }
+
+    releaseStick() {
+        this.stickPointer = null;
+        this.setStick(0, 0);
+        this.placeStick(this.stickHome.x, this.stickHome.y, 0, 0);
+        this.stickBase.style.opacity = '0.6';
+    }
+
+    // The controls are shown only while playing in touch mode
+    show() {
+        this.layout();
+        this.layer.style.display = 'block';
+    }
+
+    hide() {
+        this.layer.style.display = 'none';
+        this.releaseStick();
+        this.lookPointers.clear();
+    }
+
+    dispose() {
+        this.hide();
+        this.layer.remove();
+        window.removeEventListener('pointerdown', this.onFirstTouch, true);
+        window.removeEventListener('resize', this.onResize);
+        window.removeEventListener('orientationchange', this.onResize);
+    }
+}
@@ -0,0 +1,372 @@
+// trees.js - Procedural tree species grown from stochastic L-systems
+import * as THREE from 'three';
+import { SeededRandom } from './random.js';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { applyWindSway } from './wind.js';
+
+// Species definitions. Rules are expanded `depth` times from the axiom and the
+// result is drawn with a 3D turtle:
+//   F   grow a branch segment        L   leaf cluster (chance: leafDensity)
+//   + - turn about the branch's Z    & ^ pitch about the branch's X
+//   / \ roll about the branch        [ ] push / pop a side branch
+// Each rule may list several alternatives, picked at random per expansion.
+export const TREE_SPECIES = {
+    conifer: {
+        axiom: 'FFA',
+        rules: {
+            A: ['F[&&&B]////[&&&B]////[&&&B]////[&&&B]FA', 'F[&&&B]/////[&&&B]/////[&&&B]FA'],
+            B: ['FL[-L][+L]FL', 'F[-L]F[+L]L']
+        },
+        depth: 4,
+        angle: 22,
+        angleJitter: 6,
+        length: 0.45,
+        lengthScale: 0.8,
+        radius: 0.22,
+        radiusScale: 0.55,
+        leafDensity: 0.9,
+        leafShape: 'cone',
+        leafSize: 0.35,
+        barkColor: 0x5a3a22,
+        foliageColor: 0x234a1c
+    },
+    broadleaf: {
+        axiom: 'FFFA',
+        rules: {
+            A: ['[&FLA]/////[&FLA]///////[&FLA]', '[&FLA]//////[&FA]//////[&FLA]', '[&FLA]////[&FLA]']
+        },
+        depth: 5,
+        angle: 24,
+        angleJitter: 10,
+        length: 0.55,
+        lengthScale: 0.82,
+        radius: 0.26,
+        radiusScale: 0.68,
+        leafDensity: 0.75,
+        leafShape: 'blob',
+        leafSize: 0.45,
+        barkColor: 0x8b4513,
+        foliageColor: 0x3f6e2a
+    },
+    dead: {
+        axiom: 'FFA',
+        rules: {
+            A: ['[&F-A]////[&F+A]', '[&FA]//////[&&F-A]', '[^F+A]////[&&FA]///[&F-A]']
+        },
+        depth: 5,
+        angle: 30,
+        angleJitter: 25,
+        length: 0.6,
+        lengthScale: 0.78,
+        radius: 0.24,
+        radiusScale: 0.65,
+        leafDensity: 0,
+        leafShape: 'blob',
+        leafSize: 0,
+        barkColor: 0x4a413a,
+        foliageColor: 0x000000
+    },
+    // The light-touched trees of the story - pale bark and glowing crowns
+    light: {
+        axiom: 'FFA',
+        rules: {
+            A: ['[&FLA]////[&FLA]////[&FLA]////[&FLA]', '[&FLA]//////[&FLA]//////[&FLA]']
+        },
+        depth: 4,
+        angle: 28,
+        angleJitter: 8,
+        length: 0.55,
+        lengthScale: 0.8,
+        radius: 0.2,
+        radiusScale: 0.66,
+        leafDensity: 0.85,
+        leafShape: 'blob',
+        leafSize: 0.35,
+        barkColor: 0xd8d0c0,
+        foliageColor: 0xffe7a0,
+        glow: 1.2
+    }
+};
+
+// How much geometry each level of detail spends
+const DETAIL_LEVELS = {
+    high: { radialSegments: 7, minRadius: 0, leafStride: 1, leafScale: 1, leafSegments: 6 },
+    low: { radialSegments: 3, minRadius: 0.035, leafStride: 3, leafScale: 1.6, leafSegments: 3 }
+};
+
+// Distances (in world units) at which each representation takes over
+export const TREE_LOD_DISTANCES = { high: 0, low: 30, impostor: 70 };
+
+const X_AXIS = new THREE.Vector3(1, 0, 0);
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+
+// Expand an L-system string, choosing between rule alternatives at random
+export function expandLSystem(axiom, rules, depth, random) {
+    let current = axiom;
+    for (let i = 0; i < depth; i++) {
+        let next = '';
+        for (const symbol of current) {
+            const options = rules[symbol];
+            next += options ? options[Math.floor(random.next() * options.length)] : symbol;
+        }
+        current = next;
+    }
+    return current;
+}
+
+export class TreeGenerator {
+    constructor(options = {}) {
+        this.renderer = options.renderer ?? null;
+        this.random = options.random ?? new SeededRandom();
+        this.variants = options.variants ?? 3; // Distinct shapes kept per species
+        this.species = { ...TREE_SPECIES, ...options.species };
+
+        // Geometries, materials and textures here are shared by every tree
+        // placed from a template; owners must not dispose them per tree
+        this.sharedResources = options.sharedResources ?? new Set();
+        this.templates = new Map();
+
+        // Wind uniforms (see GrassField) that make the trees sway; optional
+        this.windUniforms = options.windUniforms ?? null;
+    }
+
+    // Template for one variant of a species, built on first use. Each variant
+    // has its own generator, so it looks the same whenever it is first needed.
+    getTemplate(speciesName, variant) {
+        const key = `${speciesName}:${variant}`;
+        if (!this.templates.has(key)) {
+            this.templates.set(key, this.generate(speciesName, this.random.fork(key)));
+        }
+        return this.templates.get(key);
+    }
+
+    // Grow a tree and build every representation of it
+    generate(speciesName, random, overrides = {}) {
+        const params = { ...this.species[speciesName], ...overrides };
+        if (!params.axiom) {
+            throw new Error(`Unknown tree species "${speciesName}"`);
+        }
+
+        const program = expandLSystem(params.axiom, params.rules, params.depth, random);
+        const skeleton = this.interpret(program, params, random);
+
+        // Each variant gets a slightly different shade
+        const barkColor = new THREE.Color(params.barkColor).offsetHSL(0, 0, (random.next() - 0.5) * 0.06);
+        const foliageColor = new THREE.Color(params.foliageColor).offsetHSL((random.next() - 0.5) * 0.03, 0, (random.next() - 0.5) * 0.08);
+
+        const materials = [
+            new THREE.MeshStandardMaterial({ color: barkColor, roughness: 0.9 }),
+            new THREE.MeshStandardMaterial({
+                color: foliageColor,
+                roughness: 0.8,
+                emissive: params.glow ? foliageColor : 0x000000,
+                emissiveIntensity: params.glow ?? 0
+            })
+        ];
+
+        if (this.windUniforms) {
+            // Stiff enough that only the crown moves much, and both groups
+            // bend the same so leaves stay on their branches
+            materials.forEach(material => applyWindSway(material, this.windUniforms, { stiffness: 0.15 }));
+        }
+
+        const high = this.buildGeometry(skeleton, params, DETAIL_LEVELS.high);
+        const low = this.buildGeometry(skeleton, params, DETAIL_LEVELS.low);
+        high.computeBoundingBox();
+
+        const template = {
+            species: speciesName,
+            high,
+            low,
+            materials,
+            height: high.boundingBox.max.y,
+            width: Math.max(high.boundingBox.max.x - high.boundingBox.min.x, high.boundingBox.max.z - high.boundingBox.min.z),
+            trunkRadius: params.radius,
+            impostor: null
+        };
+
+        [high, low, ...materials].forEach(resource => this.sharedResources.add(resource));
+
+        if (this.renderer) {
+            template.impostor = this.bakeImpostor(template);
+        }
+
+        return template;
+    }
+
+    // Walk the L-system string with a turtle, collecting branch segments and
+    // leaf positions
+    interpret(program, params, random) {
+        const segments = [];
+        const leaves = [];
+        const stack = [];
+        const angle = THREE.MathUtils.degToRad(params.angle);
+        const jitter = THREE.MathUtils.degToRad(params.angleJitter);
+        const turn = new THREE.Quaternion();
+
+        let state = {
+            position: new THREE.Vector3(),
+            rotation: new THREE.Quaternion(),
+            length: params.length,
+            radius: params.radius
+        };
+
+        const rotate = (axis, sign) => {
+            turn.setFromAxisAngle(axis, sign * (angle + (random.next() - 0.5) * jitter));
+            state.rotation.multiply(turn);
+        };
+
+        for (const symbol of program) {
+            switch (symbol) {
+                case 'F': {
+                    const start = state.position.clone();
+                    const direction = Y_AXIS.clone().applyQuaternion(state.rotation);
+                    const end = start.clone().addScaledVector(direction, state.length);
+                    const endRadius = state.radius * 0.9;
+                    segments.push({ start, end, rotation: state.rotation.clone(), radius: state.radius, endRadius });
+                    state.position.copy(end);
+                    state.radius = endRadius;
+                    break;
+                }
+                case 'L':
+                    if (random.next() < params.leafDensity) {
+                        leaves.push({
+                            position: state.position.clone(),
+                            rotation: state.rotation.clone(),
+                            size: params.leafSize * (0.7 + random.next() * 0.6)
+                        });
+                    }
+                    break;
+                case '+': rotate(Z_AXIS, 1); break;
+                case '-': rotate(Z_AXIS, -1); break;
+                case '&': rotate(X_AXIS, 1); break;
+                case '^': rotate(X_AXIS, -1); break;
+                case '/': rotate(Y_AXIS, 1); break;
+                case '\\': rotate(Y_AXIS, -1); break;
+                case '[':
+                    stack.push(state);
+                    state = {
+                        position: state.position.clone(),
+                        rotation: state.rotation.clone(),
+                        length: state.length * params.lengthScale,
+                        radius: state.radius * params.radiusScale
+                    };
+                    break;
+                case ']':
+                    state = stack.pop();
+                    break;
+            }
+        }
+
+        return { segments, leaves };
+    }
+
+    // Merge the skeleton into one geometry with a bark group and a foliage group
+    buildGeometry(skeleton, params, detail) {
+        const bark = [];
+        const foliage = [];
+        const matrix = new THREE.Matrix4();
+        const scale = new THREE.Vector3(1, 1, 1);
+        const midpoint = new THREE.Vector3();
+
+        skeleton.segments.forEach(segment => {
+            if (segment.radius < detail.minRadius) return;
+
+            const length = segment.start.distanceTo(segment.end);
+            const geometry = new THREE.CylinderGeometry(segment.endRadius, segment.radius, length, detail.radialSegments, 1, true);
+            midpoint.addVectors(segment.start, segment.end).multiplyScalar(0.5);
+            matrix.compose(midpoint, segment.rotation, scale);
+            geometry.applyMatrix4(matrix);
+            bark.push(geometry);
+        });
+
+        skeleton.leaves.forEach((leaf, index) => {
+            if (index % detail.leafStride !== 0) return;
+
+            const size = leaf.size * detail.leafScale;
+            const geometry = params.leafShape === 'cone'
+                ? new THREE.ConeGeometry(size * 0.6, size * 1.4, detail.leafSegments)
+                : new THREE.SphereGeometry(size, detail.leafSegments, Math.max(2, detail.leafSegments - 2));
+            matrix.compose(leaf.position, leaf.rotation, scale);
+            geometry.applyMatrix4(matrix);
+            foliage.push(geometry);
+        });
+
+        const parts = [mergeGeometries(bark)];
+        if (foliage.length > 0) {
+            parts.push(mergeGeometries(foliage));
+        }
+
+        const geometry = mergeGeometries(parts, true);
+        [...bark, ...foliage, ...parts].forEach(part => part.dispose());
+        return geometry;
+    }
+
+    // Render the full-detail tree once into a texture for a camera-facing card
+    bakeImpostor(template) {
+        const renderer = this.renderer;
+        const width = 128;
+        const height = 256;
+        const target = new THREE.WebGLRenderTarget(width, height);
+
+        const scene = new THREE.Scene();
+        scene.add(new THREE.HemisphereLight(0xffffff, 0x334422, 1.5));
+        const sun = new THREE.DirectionalLight(0xffffff, 1.5);
+        sun.position.set(1, 2, 3);
+        scene.add(sun);
+        scene.add(new THREE.Mesh(template.high, template.materials));
+
+        // Frame the tree with an orthographic camera looking from the side,
+        // matching the 1:2 aspect of the texture
+        const box = template.high.boundingBox;
+        const frameWidth = Math.max(template.width, template.height / 2) * 1.05;
+        const frameHeight = frameWidth * 2;
+        const camera = new THREE.OrthographicCamera(-frameWidth / 2, frameWidth / 2, frameHeight, 0, 0.1, 100);
+        camera.position.set((box.min.x + box.max.x) / 2, 0, 50);
+
+        const previousTarget = renderer.getRenderTarget();
+        const previousClearColor = renderer.getClearColor(new THREE.Color());
+        const previousClearAlpha = renderer.getClearAlpha();
+
+        renderer.setRenderTarget(target);
+        renderer.setClearColor(0x000000, 0);
+        renderer.clear();
+        renderer.render(scene, camera);
+
+        renderer.setRenderTarget(previousTarget);
+        renderer.setClearColor(previousClearColor, previousClearAlpha);
+
+        const material = new THREE.SpriteMaterial({ map: target.texture, alphaTest: 0.5 });
+        this.sharedResources.add(target);
+        this.sharedResources.add(target.texture);
+        this.sharedResources.add(material);
+
+        return { material, width: frameWidth, height: frameHeight };
+    }
+
+    // A placed tree: an LOD object sharing the template's resources
+    createTree(speciesName, variant) {
+        const template = this.getTemplate(speciesName, variant);
+        const lod = new THREE.LOD();
+
+        lod.addLevel(new THREE.Mesh(template.high, template.materials), TREE_LOD_DISTANCES.high);
+        lod.addLevel(new THREE.Mesh(template.low, template.materials), TREE_LOD_DISTANCES.low);
+
+        if (template.impostor) {
+            const sprite = new THREE.Sprite(template.impostor.material);
+            sprite.center.set(0.5, 0);
+            sprite.scale.set(template.impostor.width, template.impostor.height, 1);
+            lod.addLevel(sprite, TREE_LOD_DISTANCES.impostor);
+        }
+
+        lod.userData.template = template;
+        return lod;
+    }
+
+    dispose() {
+        this.sharedResources.forEach(resource => resource.dispose());
+        this.sharedResources.clear();
+        this.templates.clear();
+    }
+}
@@ -0,0 +1,413 @@
+// weather.js - Weather states with rain, splashes, gusting wind and lightning
+import * as THREE from 'three';
+
+// Each state is a set of targets the controller blends towards:
+//   wind      - wind strength fed to grass, flowers and trees
+//   gustiness - how far gusts swing the wind above and below that
+//   rain      - share of the rain drops falling (0 to 1)
+//   overcast  - cloud cover darkening the sky, lights and fog
+//   lightning - strikes per minute
+export const WEATHER_STATES = {
+    clear: { wind: 0.1, gustiness: 0.2, rain: 0, overcast: 0, lightning: 0 },
+    windy: { wind: 0.55, gustiness: 0.6, rain: 0, overcast: 0.2, lightning: 0 },
+    rain: { wind: 0.25, gustiness: 0.3, rain: 0.6, overcast: 0.65, lightning: 0 },
+    storm: { wind: 0.8, gustiness: 0.7, rain: 1, overcast: 0.9, lightning: 6 }
+};
+
+export const DEFAULT_WEATHER = {
+    state: 'clear',
+    transitionTime: 20, // Seconds to blend from one state to the next
+    automatic: false, // Pick a new state at random on a timer
+    duration: [90, 240], // Seconds each automatic state lasts
+    weights: { clear: 4, windy: 2, rain: 2, storm: 1 }, // Automatic odds
+    rainDrops: 12000,
+    rainBoxSize: 40, // Rain falls in a box this wide around the viewer
+    rainHeight: 20,
+    rainSpeed: 14, // Units per second
+    splashes: 300,
+    splashRadius: 14, // Splashes appear this close to the viewer
+    splashLifetime: 0.35
+};
+
+// Blendable values of a state
+const WEATHER_KEYS = ['wind', 'gustiness', 'rain', 'overcast', 'lightning'];
+
+// Each drop is a short line; both ends share the drop's start position and
+// aEnd picks which end of the streak a vertex is
+const rainVertexShader = /* glsl */`
+    attribute float aEnd;
+    uniform float uTime;
+    uniform float uBoxSize;
+    uniform float uHeight;
+    uniform float uSpeed;
+    uniform float uLength;
+    uniform vec3 uCenter;
+    uniform vec2 uWind;
+    varying float vFade;
+
+    void main() {
+        float fall = uTime * uSpeed;
+        vec3 velocity = normalize(vec3(uWind.x, -1.0, uWind.y));
+
+        // Fall and drift, then wrap into a box that follows the viewer
+        vec2 drift = position.xz + uWind * fall;
+        vec2 local = mod(drift - uCenter.xz + uBoxSize * 0.5, uBoxSize) - uBoxSize * 0.5;
+        float height = mod(position.y - fall, uHeight);
+        vec3 world = vec3(uCenter.x + local.x, uCenter.y - uHeight * 0.3 + height, uCenter.z + local.y);
+        world -= velocity * uLength * aEnd;
+
+        vec2 edge = abs(local) / (uBoxSize * 0.5);
+        vFade = (1.0 - smoothstep(0.6, 1.0, max(edge.x, edge.y))) * smoothstep(0.0, 2.0, height);
+
+        gl_Position = projectionMatrix * viewMatrix * vec4(world, 1.0);
+    }
+`;
+
+const rainFragmentShader = /* glsl */`
+    uniform vec3 uColor;
+    uniform float uOpacity;
+    varying float vFade;
+
+    void main() {
+        gl_FragColor = vec4(uColor, uOpacity * vFade);
+    }
+`;
+
+// Expanding rings, timed from each splash's start on the shared clock
+const splashVertexShader = /* glsl */`
+    attribute float aStart;
+    uniform float uTime;
+    uniform float uLifetime;
+    uniform float uPixelRatio;
+    varying float vAge;
+
+    void main() {
+        // Splashes waiting for their start stay hidden, like finished ones
+        float age = (uTime - aStart) / uLifetime;
+        vAge = age < 0.0 ? 1.0 : min(age, 1.0);
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+        gl_PointSize = (2.0 + vAge * 10.0) * uPixelRatio * (4.0 / -mvPosition.z);
+    }
+`;
+
+const splashFragmentShader = /* glsl */`
+    uniform vec3 uColor;
+    uniform float uOpacity;
+    varying float vAge;
+
+    void main() {
+        // Squash the sprite into an ellipse so the ring lies on the ground
+        vec2 p = (gl_PointCoord - 0.5) * vec2(1.0, 2.5);
+        float d = length(p);
+        float ring = smoothstep(0.08, 0.0, abs(d - vAge * 0.45));
+        float alpha = ring * (1.0 - vAge) * uOpacity;
+        if (alpha < 0.01) discard;
+        gl_FragColor = vec4(uColor, alpha);
+    }
+`;
+
+// Brightness of a lightning strike `age` seconds in: a bright stroke, a dim
+// gap and a return stroke
+const flashCurve = age => {
+    const stroke = (start, strength) => age < start ? 0 : strength * Math.exp(-(age - start) * 14);
+    return stroke(0, 1) + stroke(0.14, 0.45) + stroke(0.24, 0.85);
+};
+
+export class WeatherController {
+    constructor(environment, params = {}) {
+        this.environment = environment;
+        this.scene = environment.scene;
+        this.params = { ...DEFAULT_WEATHER, ...params };
+        this.states = { ...WEATHER_STATES, ...params.states };
+
+        const initial = this.getStateValues(this.params.state);
+        this.state = this.params.state;
+        this.current = { ...initial };
+        this.from = { ...initial };
+        this.target = { ...initial };
+        this.progress = 1;
+        this.transitionTime = this.params.transitionTime;
+
+        this.automatic = this.params.automatic;
+        this.stateTimer = this.nextDuration();
+
+        this.time = 0;
+        this.windAngle = Math.atan2(0.3, 1); // Matches the grass field's default
+        this.windStrength = initial.wind;
+
+        this.strikeAge = Infinity;
+        this.flash = 0;
+        // Called with the strike's distance when lightning hits (for thunder)
+        this.onLightning = null;
+
+        this.group = new THREE.Group();
+        this.group.name = 'weather';
+        this.scene.add(this.group);
+
+        this.createRain();
+        this.createSplashes();
+        this.createLightning();
+        this.apply();
+    }
+
+    getStateValues(name) {
+        const state = Object.hasOwn(this.states, name) ? this.states[name] : null;
+        if (!state) {
+            throw new Error(`Unknown weather state "${name}"`);
+        }
+        return state;
+    }
+
+    createRain() {
+        const { rainDrops, rainBoxSize, rainHeight } = this.params;
+        const positions = new Float32Array(rainDrops * 2 * 3);
+        const ends = new Float32Array(rainDrops * 2);
+
+        for (let i = 0; i < rainDrops; i++) {
+            const x = Math.random() * rainBoxSize;
+            const y = Math.random() * rainHeight;
+            const z = Math.random() * rainBoxSize;
+            positions.set([x, y, z, x, y, z], i * 6);
+            ends[i * 2 + 1] = 1;
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('aEnd', new THREE.BufferAttribute(ends, 1));
+
+        this.rainUniforms = {
+            uTime: { value: 0 },
+            uBoxSize: { value: rainBoxSize },
+            uHeight: { value: rainHeight },
+            uSpeed: { value: this.params.rainSpeed },
+            uLength: { value: 0.5 },
+            uCenter: { value: new THREE.Vector3() },
+            uWind: { value: new THREE.Vector2() },
+            uColor: { value: new THREE.Color(0xaab4c8) },
+            uOpacity: { value: 0.35 }
+        };
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: this.rainUniforms,
+            vertexShader: rainVertexShader,
+            fragmentShader: rainFragmentShader,
+            transparent: true,
+            depthWrite: false
+        });
+
+        this.rain = new THREE.LineSegments(geometry, material);
+        this.rain.frustumCulled = false; // Positions are only known in the shader
+        this.group.add(this.rain);
+    }
+
+    createSplashes() {
+        const { splashes } = this.params;
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(splashes * 3), 3));
+        geometry.setAttribute('aStart', new THREE.BufferAttribute(new Float32Array(splashes).fill(-Infinity), 1));
+
+        this.splashUniforms = {
+            uTime: { value: 0 },
+            uLifetime: { value: this.params.splashLifetime },
+            uPixelRatio: { value: typeof window !== 'undefined' ? window.devicePixelRatio : 1 },
+            uColor: { value: new THREE.Color(0xc8d2e0) },
+            uOpacity: { value: 0.6 }
+        };
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: this.splashUniforms,
+            vertexShader: splashVertexShader,
+            fragmentShader: splashFragmentShader,
+            transparent: true,
+            depthWrite: false
+        });
+
+        this.splashes = new THREE.Points(geometry, material);
+        this.splashes.frustumCulled = false;
+        this.group.add(this.splashes);
+    }
+
+    // A cold light that only shines during a strike, from high above the viewer
+    createLightning() {
+        this.lightningLight = new THREE.DirectionalLight(0xd8e0ff, 0);
+        this.scene.add(this.lightningLight);
+        this.scene.add(this.lightningLight.target);
+    }
+
+    // Blend to a named state over `transitionTime` seconds (0 switches at once)
+    setWeather(name, transitionTime = this.params.transitionTime) {
+        this.target = { ...this.getStateValues(name) };
+        this.from = { ...this.current };
+        this.state = name;
+        this.transitionTime = transitionTime;
+        this.progress = transitionTime > 0 ? 0 : 1;
+        this.stateTimer = this.nextDuration();
+
+        if (this.progress === 1) {
+            this.current = { ...this.target };
+            this.apply();
+        }
+    }
+
+    getWeather() {
+        return this.state;
+    }
+
+    // Let the weather change by itself every so often
+    setAutomatic(enabled) {
+        this.automatic = enabled;
+        this.stateTimer = this.nextDuration();
+    }
+
+    nextDuration() {
+        const [min, max] = this.params.duration;
+        return min + Math.random() * (max - min);
+    }
+
+    // Weighted pick of any state other than the current one
+    pickState() {
+        const candidates = Object.entries(this.params.weights)
+            .filter(([name, weight]) => name !== this.state && weight > 0 && Object.hasOwn(this.states, name));
+        if (candidates.length === 0) return this.state;
+
+        const total = candidates.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = Math.random() * total;
+        for (const [name, weight] of candidates) {
+            roll -= weight;
+            if (roll <= 0) return name;
+        }
+        return candidates[candidates.length - 1][0];
+    }
+
+    // Force a strike now, regardless of the weather
+    strike() {
+        this.strikeAge = 0;
+
+        // Somewhere in the sky, a few hundred units off
+        const angle = Math.random() * Math.PI * 2;
+        const distance = 150 + Math.random() * 350;
+        this.strikeOffset = new THREE.Vector3(Math.cos(angle) * distance, 120, Math.sin(angle) * distance);
+
+        this.onLightning?.(distance);
+    }
+
+    update(delta, viewerPosition) {
+        this.time += delta;
+
+        if (this.automatic) {
+            this.stateTimer -= delta;
+            if (this.stateTimer <= 0) {
+                this.setWeather(this.pickState());
+            }
+        }
+
+        if (this.progress < 1) {
+            this.progress = Math.min(1, this.progress + delta / this.transitionTime);
+            const t = THREE.MathUtils.smoothstep(this.progress, 0, 1);
+            WEATHER_KEYS.forEach(key => {
+                this.current[key] = THREE.MathUtils.lerp(this.from[key], this.target[key], t);
+            });
+        }
+
+        this.updateWind(delta);
+        this.updateLightning(delta, viewerPosition);
+
+        if (viewerPosition) {
+            this.rainUniforms.uCenter.value.copy(viewerPosition);
+            this.updateSplashes(viewerPosition);
+        }
+
+        this.apply();
+    }
+
+    // Gusts from a few out-of-step waves, with the direction slowly wandering
+    updateWind(delta) {
+        const { wind, gustiness } = this.current;
+        const t = this.time;
+        const gust = (Math.sin(t * 0.31) + Math.sin(t * 0.73 + 1.3) * 0.6 + Math.sin(t * 1.9 + 4.1) * 0.3) / 1.9;
+
+        this.windAngle += Math.sin(t * 0.05) * 0.02 * delta;
+        this.windStrength = Math.max(0, wind * (1 + gust * gustiness));
+    }
+
+    updateLightning(delta, viewerPosition) {
+        // Strikes at random moments averaging the (possibly blending) rate,
+        // never overlapping
+        if (this.strikeAge > 1.5 && Math.random() < this.current.lightning / 60 * delta) {
+            this.strike();
+        }
+
+        this.strikeAge += delta;
+        this.flash = this.strikeAge < 1.5 ? flashCurve(this.strikeAge) : 0;
+
+        if (viewerPosition && this.strikeOffset) {
+            this.lightningLight.target.position.copy(viewerPosition);
+            this.lightningLight.position.copy(viewerPosition).add(this.strikeOffset);
+        }
+    }
+
+    // Recycle finished splashes at random spots on the ground near the viewer,
+    // as many as the current rain allows
+    updateSplashes(viewerPosition) {
+        const { splashRadius, splashLifetime } = this.params;
+        const positions = this.splashes.geometry.attributes.position;
+        const starts = this.splashes.geometry.attributes.aStart;
+        let changed = false;
+
+        for (let i = 0; i < starts.count; i++) {
+            if (this.time - starts.array[i] < splashLifetime) continue;
+            if (Math.random() >= this.current.rain) continue;
+
+            const angle = Math.random() * Math.PI * 2;
+            const radius = Math.sqrt(Math.random()) * splashRadius;
+            const x = viewerPosition.x + Math.cos(angle) * radius;
+            const z = viewerPosition.z + Math.sin(angle) * radius;
+
+            positions.setXYZ(i, x, this.environment.getHeightAt(x, z) + 0.02, z);
+            // Stagger the starts so splashes don't pulse in step
+            starts.setX(i, this.time + Math.random() * splashLifetime);
+            changed = true;
+        }
+
+        if (changed) {
+            positions.needsUpdate = true;
+            starts.needsUpdate = true;
+        }
+    }
+
+    // Push the blended state out to the world
+    apply() {
+        const { rain, overcast } = this.current;
+        const dirX = Math.cos(this.windAngle);
+        const dirZ = Math.sin(this.windAngle);
+
+        this.environment.grass.setWind(this.windStrength, dirX, dirZ);
+
+        const dropCount = Math.floor(this.params.rainDrops * rain);
+        this.rain.geometry.setDrawRange(0, dropCount * 2);
+        this.rain.visible = dropCount > 0;
+        this.rainUniforms.uTime.value = this.time;
+        this.rainUniforms.uWind.value.set(dirX, dirZ).multiplyScalar(this.windStrength * 0.4);
+        this.splashUniforms.uTime.value = this.time;
+        this.splashes.visible = rain > 0;
+
+        const sky = this.environment.sky;
+        if (sky) {
+            sky.overcast = overcast;
+            sky.flash = this.flash;
+        }
+        this.lightningLight.intensity = this.flash * 4;
+    }
+
+    dispose() {
+        this.group.removeFromParent();
+        this.rain.geometry.dispose();
+        this.rain.material.dispose();
+        this.splashes.geometry.dispose();
+        this.splashes.material.dispose();
+        this.lightningLight.removeFromParent();
+        this.lightningLight.target.removeFromParent();
+        this.lightningLight.dispose();
+    }
+}
@@ -0,0 +1,46 @@
+// wind.js - Vertex-shader wind sway for standard materials (trees, flowers)
+
+// Patch a material so it bends in the wind. `uniforms` is the shared wind set
+// owned by the grass field (uTime, uWindStrength, uWindDirection, ...), so
+// everything sways together. Taller parts of an object (measured from its
+// origin) move more; stiffness scales the whole effect down.
+export function applyWindSway(material, uniforms, { stiffness = 1, referenceHeight = 4 } = {}) {
+    const previous = material.onBeforeCompile;
+
+    material.onBeforeCompile = (shader, renderer) => {
+        previous?.call(material, shader, renderer);
+
+        shader.uniforms.uTime = uniforms.uTime;
+        shader.uniforms.uWindStrength = uniforms.uWindStrength;
+        shader.uniforms.uWindDirection = uniforms.uWindDirection;
+        shader.uniforms.uGustSpeed = uniforms.uGustSpeed;
+        shader.uniforms.uWindFrequency = uniforms.uWindFrequency;
+        shader.uniforms.uSwayStiffness = { value: stiffness };
+        shader.uniforms.uSwayHeight = { value: referenceHeight };
+
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>
+                uniform float uTime;
+                uniform float uWindStrength;
+                uniform vec2 uWindDirection;
+                uniform float uGustSpeed;
+                uniform float uWindFrequency;
+                uniform float uSwayStiffness;
+                uniform float uSwayHeight;`)
+            .replace('#include <project_vertex>', `
+                vec4 swayWorld = modelMatrix * vec4(transformed, 1.0);
+                vec3 swayOrigin = modelMatrix[3].xyz;
+
+                float swayHeight = max(swayWorld.y - swayOrigin.y, 0.0) / uSwayHeight;
+                float swayWave = dot(swayOrigin.xz, uWindDirection) * uWindFrequency;
+                float swayGust = 0.6 + 0.4 * sin(uTime * uGustSpeed - swayWave);
+                float swayFlutter = sin(uTime * 2.3 + swayOrigin.x * 1.7 + swayOrigin.z) * 0.15;
+                swayWorld.xz += uWindDirection * swayHeight * swayHeight * uWindStrength * uSwayStiffness * (swayGust + swayFlutter);
+
+                vec4 mvPosition = viewMatrix * swayWorld;
+                gl_Position = projectionMatrix * mvPosition;`);
+    };
+
+    const previousKey = material.customProgramCacheKey.bind(material);
+    material.customProgramCacheKey = () => `${previousKey()}|wind-sway`;
+}